@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * workday2ics: convert Workday schedule exports to .ics without the browser.
+ *
+ *   workday2ics input.xlsx [more.xlsx ...] [--map mapping.json] [--tz America/Vancouver] [-o out.ics]
+ *
+ * Each input becomes its own calendar, written next to the input unless -o or --out-dir says otherwise.
+ * With --merge all inputs go into one calendar, named after the first input.
+ * Row problems are printed to stderr. Exit code 1 means at least one row could not be converted,
+ * 2 means a file could not be converted at all.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as XLSX from "xlsx";
+import {
+  DATE_ORDERS,
+  DAY_LANGUAGES,
+  HOLIDAY_PRESETS,
+  assertValidICS,
+  buildEvents,
+  detectHeaderRow,
+  exportICS,
+  findConflicts,
+  guessExamMapping,
+  guessInitialMapping,
+  headerScore,
+  mergeSources,
+  normalizeProfile,
+  parseAlarms,
+  parseBusyEvents,
+  parseCSVRows,
+  parseExclusionText,
+  parseICSExclusions,
+  parsePreviousExport,
+  sheetMatrix,
+  tableFromMatrix,
+  tagConflicts,
+} from "../src/core/index.js";
+
+const USAGE = `Usage: workday2ics <input.xlsx|input.csv>... [options]
+
+Options:
+  -m, --map <file>         Profile JSON exported from the app, or a bare mapping such as
+                           { "startDateField": "Start Date", ... }
+  -z, --tz <zone>          IANA timezone of the classes (default America/Vancouver)
+  -o, --out <file>         Output .ics for a single input, "-" for stdout
+      --out-dir <dir>      Write <input name>.ics for every input into this directory
+      --merge              Put every input into one calendar (e.g. Fall and Winter); classes found in several
+                           files are written once
+      --name <text>        Calendar name (default: the input file name)
+      --title <template>   Title template, e.g. "{Course} {Component}[ {Section}]"; any column works as a token
+      --location <tmpl>    Location template (default "{Location}")
+      --description <tmpl> Description template, e.g. "Instructor: {Instructor Name}"
+      --mode <mode>        recurring (default) or expanded
+      --time <format>      tzid (default), floating or utc
+      --date-format <fmt>  auto (default), MDY, DMY or YMD: how 04/09/2025 is read. auto decides from the whole column
+      --day-language <l>   auto (default), en, fr, es or de: the language of day names such as "Lun Mer Ven"
+      --holidays <preset>  Skip statutory holidays: ${Object.keys(HOLIDAY_PRESETS).join(", ")}
+      --exclude <file>     No-class dates as .csv/.txt lines or an .ics calendar
+      --previous <file>    Previously exported .ics, to keep SEQUENCE and cancel dropped classes
+      --sheet <name>       Workbook sheet (default: the one that looks most like a schedule)
+      --header-row <n>     Row holding the column names (default: detected)
+      --alarm <comp=list>  Reminders per component, e.g. --alarm "Lecture=15m" --alarm "Exam=1d, 2h audio";
+                           "*" sets the default. Repeatable
+      --busy <file.ics>    Personal calendar to check for clashes (overlapping classes are always reported)
+      --tag-conflicts      Add a CONFLICT category to clashing events
+      --weeks <row=weeks>  Override a row's week pattern, e.g. --weeks "12=Even weeks"; repeatable
+      --all-day            Rows without any time become all-day events
+      --exams <file>       Final exam report (.xlsx or .csv) merged into every calendar
+      --exam-title <tmpl>  Title template for exams (default "{Course} Exam")
+  -h, --help               Show this help
+`;
+
+function readTable(file, sheetName, headerRow) {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  let sheet;
+  if (ext === "xlsx" || ext === "xls") {
+    const wb = XLSX.read(fs.readFileSync(file), { type: "buffer", cellDates: true });
+    if (sheetName && !wb.SheetNames.includes(sheetName)) throw new Error(`No sheet named "${sheetName}"`);
+    const all = wb.SheetNames.map((name) => sheetMatrix(wb, name));
+    sheet = sheetName
+      ? all.find((x) => x.name === sheetName)
+      : all.reduce((a, b) => (headerScore(b.matrix) > headerScore(a.matrix) ? b : a), all[0]);
+  } else if (ext === "csv") {
+    sheet = { name: "CSV", matrix: parseCSVRows(fs.readFileSync(file, "utf8")), offset: 0 };
+  } else {
+    throw new Error("Expected an .xlsx, .xls or .csv file");
+  }
+  const headerIdx = headerRow ? Number(headerRow) - 1 - sheet.offset : detectHeaderRow(sheet.matrix);
+  if (!(headerIdx >= 0 && headerIdx < sheet.matrix.length)) throw new Error(`Row ${headerRow} is outside the sheet`);
+  const { data, hdrs } = tableFromMatrix(sheet.matrix, headerIdx);
+  if (!data.length) throw new Error("No rows detected");
+  return { rows: data, headers: hdrs };
+}
+
+function readExclusions(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() === ".ics") return parseICSExclusions(text);
+  const { ranges, invalid } = parseExclusionText(text);
+  for (const line of invalid) console.error(`${file}: ignored line without a date: ${line}`);
+  return ranges;
+}
+
+function formatIssue(file, d) {
+  const where = [d.parser && `from ${d.parser}`, d.field && `on ${d.field}`, d.value && `(${JSON.stringify(d.value)})`].filter(Boolean).join(" ");
+  return `${file}: row ${d.row + 1}: ${d.severity}${where ? " " + where : ""}: ${d.message}`;
+}
+
+function formatConflict(file, c) {
+  const fmt = (d) => d.toLocaleString("en-CA", { dateStyle: "medium", timeStyle: "short" });
+  const first = c.clashes[0];
+  const more = c.clashes.length > 1 ? `, ${c.clashes.length} clashes in total` : "";
+  return `${file}: conflict: ${c.a.summary} overlaps ${c.b.summary}${c.b.busy ? " (busy)" : ""} on ${fmt(first.aStart)} by ${first.minutes} min${more}`;
+}
+
+function outputPath(input, values, used) {
+  if (values.out) return values.out;
+  const { dir, name, base } = path.parse(input);
+  const target = values["out-dir"] || dir;
+  // Fall back to the full file name when fall.xlsx and fall.csv would both become fall.ics
+  const out = path.join(target, name + ".ics");
+  return used.has(out) ? path.join(target, base + ".ics") : out;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        map: { type: "string", short: "m" },
+        tz: { type: "string", short: "z" },
+        out: { type: "string", short: "o" },
+        "out-dir": { type: "string" },
+        merge: { type: "boolean" },
+        name: { type: "string" },
+        title: { type: "string" },
+        location: { type: "string" },
+        description: { type: "string" },
+        mode: { type: "string" },
+        time: { type: "string" },
+        "date-format": { type: "string" },
+        "day-language": { type: "string" },
+        holidays: { type: "string" },
+        exclude: { type: "string" },
+        previous: { type: "string" },
+        sheet: { type: "string" },
+        "header-row": { type: "string" },
+        weeks: { type: "string", multiple: true },
+        alarm: { type: "string", multiple: true },
+        busy: { type: "string" },
+        "tag-conflicts": { type: "boolean" },
+        "all-day": { type: "boolean" },
+        exams: { type: "string" },
+        "exam-title": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals: inputs } = args;
+  if (values.help) { process.stdout.write(USAGE); return 0; }
+  if (!inputs.length) { console.error(USAGE); return 2; }
+  if (values.out && inputs.length > 1 && !values.merge) {
+    console.error("-o names a single output file; use --out-dir for several inputs");
+    return 2;
+  }
+  if (values.mode && !["recurring", "expanded"].includes(values.mode)) {
+    console.error(`--mode must be recurring or expanded, not "${values.mode}"`);
+    return 2;
+  }
+  if (values.time && !["tzid", "floating", "utc"].includes(values.time)) {
+    console.error(`--time must be tzid, floating or utc, not "${values.time}"`);
+    return 2;
+  }
+  const dateOrder = values["date-format"] && DATE_ORDERS.find((x) => x.toLowerCase() === values["date-format"].toLowerCase());
+  if (values["date-format"] && !dateOrder) {
+    console.error(`--date-format must be one of ${DATE_ORDERS.join(", ")}, not "${values["date-format"]}"`);
+    return 2;
+  }
+  const dayLanguage = values["day-language"] && DAY_LANGUAGES.find((x) => x === values["day-language"].toLowerCase());
+  if (values["day-language"] && !dayLanguage) {
+    console.error(`--day-language must be one of ${DAY_LANGUAGES.join(", ")}, not "${values["day-language"]}"`);
+    return 2;
+  }
+  if (values.holidays && !HOLIDAY_PRESETS[values.holidays]) {
+    console.error(`Unknown holiday preset "${values.holidays}". Choose one of: ${Object.keys(HOLIDAY_PRESETS).join(", ")}`);
+    return 2;
+  }
+
+  // Row numbers as printed in diagnostics, i.e. 1-based
+  const weekOverrides = {};
+  for (const w of values.weeks || []) {
+    const m = w.match(/^(\d+)\s*=\s*(.+)$/);
+    if (!m || Number(m[1]) < 1) {
+      console.error(`--weeks expects <row>=<weeks>, e.g. "12=Even weeks", not "${w}"`);
+      return 2;
+    }
+    weekOverrides[Number(m[1]) - 1] = m[2];
+  }
+
+  let alarms = null;
+  for (const a of values.alarm || []) {
+    const m = a.match(/^([^=]*)=(.*)$/);
+    const parsed = m && parseAlarms(m[2]);
+    if (!parsed || parsed.invalid.length) {
+      console.error(`--alarm expects <component>=<times>, e.g. "Lecture=15m, 1h audio", not "${a}"`);
+      return 2;
+    }
+    alarms = { ...alarms, [m[1].trim() || "*"]: parsed.alarms };
+  }
+
+  let profile = { mapping: {} };
+  let exclusions = [];
+  let previous;
+  let busyText;
+  let exams;
+  try {
+    if (values.exams) exams = readTable(values.exams, undefined, undefined);
+    if (values.busy) busyText = fs.readFileSync(values.busy, "utf8");
+    if (values.map) profile = normalizeProfile(JSON.parse(fs.readFileSync(values.map, "utf8")));
+    if (values.exclude) exclusions = readExclusions(values.exclude);
+    if (values.previous) previous = parsePreviousExport(fs.readFileSync(values.previous, "utf8"));
+    if (values["out-dir"]) fs.mkdirSync(values["out-dir"], { recursive: true });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  const { mapping: fileMapping, name: _name, headers: _headers, ...fileOptions } = profile;
+
+  const optionsFor = (input) => ({
+    ...fileOptions,
+    calendarName: values.name || fileOptions.calendarName || path.parse(input).name,
+    ...(values.tz && { timezone: values.tz }),
+    ...(values.title && { titleTemplate: values.title }),
+    ...(values.location && { locationTemplate: values.location }),
+    ...(values.description && { descriptionTemplate: values.description }),
+    ...(values.mode && { exportMode: values.mode }),
+    ...(values.time && { timeMode: values.time }),
+    ...(dateOrder && { dateOrder }),
+    ...(dayLanguage && { dayLanguage }),
+    ...(values.holidays && { holidayPreset: values.holidays }),
+    exclusions,
+    weekOverrides,
+    ...(alarms && { alarms }),
+    ...(values["all-day"] && { allDay: true }),
+    previous,
+  });
+  const build = (input) => {
+    const { rows, headers } = readTable(input, values.sheet, values["header-row"]);
+    const mapping = { ...guessInitialMapping(headers), ...fileMapping };
+    return { name: path.basename(input), ...buildEvents(rows, mapping, optionsFor(input)) };
+  };
+
+  let status = 0;
+  const used = new Set();
+  // One job per calendar: every input on its own, or all of them together with --merge
+  const jobs = values.merge ? [inputs] : inputs.map((input) => [input]);
+  for (const files of jobs) {
+    const input = files[0];
+    const label = files.join(" + ");
+    try {
+      const options = optionsFor(input);
+      let events;
+      let issues;
+      if (files.length > 1) {
+        const built = [];
+        for (const file of files) {
+          try {
+            built.push({ file, ...build(file) });
+          } catch (e) {
+            console.error(`${file}: ${e.message}`);
+            status = 2;
+          }
+        }
+        const merged = mergeSources(built);
+        events = merged.events;
+        issues = merged.issues.map((d) => ({ file: built[d.fileIndex].file, ...d }));
+        if (merged.duplicates.length) console.error(`${label}: ${merged.duplicates.length} events appear in more than one file and are written once`);
+      } else {
+        const built = build(input);
+        events = built.events;
+        issues = built.issues.map((d) => ({ file: input, ...d }));
+      }
+      if (exams) {
+        // Exams get their own row numbers and UIDs (their keys carry the "exam" source) and share the calendar
+        const examBuilt = buildEvents(exams.rows, guessExamMapping(exams.headers), {
+          ...options,
+          mappingMode: "exam",
+          source: "exam",
+          titleTemplate: values["exam-title"] || "{Course} Exam",
+          locationTemplate: "{Location}",
+          descriptionTemplate: "{Description}",
+          weekOverrides: {},
+        });
+        events = [...events, ...examBuilt.events];
+        issues.push(...examBuilt.issues.map((d) => ({ file: values.exams, ...d })));
+      }
+      const errors = issues.filter((d) => d.severity === "error");
+      for (const d of issues) console.error(formatIssue(d.file, d));
+      if (!events.length) throw new Error("No events generated. Check mappings and data.");
+      let { ics } = exportICS(events, options);
+
+      const horizon = new Date(Math.max(...events.map((ev) => ev.rrule?.until || ev.rdates?.[ev.rdates.length - 1] || ev.dtEnd)));
+      const zone = options.timeMode === "floating" ? "" : options.timezone || "America/Vancouver";
+      const conflicts = findConflicts(events, busyText ? parseBusyEvents(busyText, zone, horizon).events : []);
+      for (const c of conflicts) console.error(formatConflict(label, c));
+      if (values["tag-conflicts"] && conflicts.length) {
+        const keys = new Set(conflicts.flatMap((c) => c.clashes.flatMap((x) => [x.aKey, x.bKey])).filter(Boolean));
+        ({ ics } = exportICS(tagConflicts(events, keys), options));
+      }
+
+      assertValidICS(ics, "The output");
+      const out = outputPath(input, values, used);
+      used.add(out);
+      if (out === "-") process.stdout.write(ics);
+      else fs.writeFileSync(out, ics);
+      if (out !== "-") console.error(`${label}: ${events.length} events -> ${out}`);
+      if (errors.length) status = Math.max(status, 1);
+    } catch (e) {
+      console.error(`${label}: ${e.message}`);
+      status = 2;
+    }
+  }
+  return status;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,199 +1,971 @@
 import React, { useMemo, useRef, useState } from "react";
 import * as XLSX from "xlsx";
+import {
+  HOLIDAY_PRESETS,
+  COLOR_PALETTE,
+  GROUP_KINDS,
+  assertValidICS,
+  checkCell,
+  collectGroups,
+  compileTemplates,
+  defaultMappingMode,
+  describeIcsDate,
+  detectDateOrder,
+  detectDayLanguage,
+  eventOccurrences,
+  exportICS,
+  exportICSByCourse,
+  guessInitialMapping,
+  isValidTimeZone,
+  meetingPatternDays,
+  labelForKey,
+  listTimeZones,
+  makeProfile,
+  parseAlarms,
+  parseBusyEvents,
+  matchProfile,
+  normalizeProfile,
+  occurrenceKey,
+  renderEventText,
+  rowGroups,
+  parseExclusionText,
+  parseICSExclusions,
+  parseMeetingPatterns,
+  parsePreviousExport,
+  tagConflicts,
+  toCSV,
+} from "./core/index.js";
+import { runTask } from "./worker.js";
 
 /**
  * Workday Excel -> iCal converter
- * - Upload .xlsx or .csv exported from Workday
- * - Map columns to fields
+ * - Upload .xlsx or .csv exported from Workday. The header row is found below any report title rows, and footer rows are dropped
+ * - Several files (Fall and Winter, or a timetable and a lab schedule) can be loaded together. Each keeps its own
+ *   columns and mapping; their events go into one calendar, classes found in more than one file once
+ * - Titles, locations and descriptions come from templates that can use any column ({Instructor Name}), fallbacks
+ *   ({Title|Course}), transforms ({Course:upper}) and optional parts ([ - {Section}]), previewed live on the first rows
+ * - Map columns to fields. Mappings can be saved as named profiles (kept in this browser, shareable as JSON)
+ *   and are applied automatically when a file with matching headers is loaded
  * - Expands weekly patterns (e.g., MWF, TuTh, Mon Wed Fri) into individual dates between Start Date and End Date
- * - Exports a standards-compliant .ics file
+ * - Understands Workday's combined "Meeting Patterns" cell (days | times | dates | room), one pattern per line
+ * - Day names and column headers of French, Spanish and German exports ("Lun Mer Ven", "L M J", "Date de début") are
+ *   recognized; the export language is detected from the data or can be chosen
+ * - Alternate-week, A/B-week and week-list sections ("Weeks 1-6") only get their own weeks, as INTERVAL=2 or RDATEs.
+ *   Each row's week pattern can be overridden from the review step
+ * - Rows with a single date (or no days) become one-off events, and rows without times can be all-day events.
+ *   A final exam report can be uploaded alongside and is merged into the same calendar
+ * - Skips no-class dates (statutory holiday presets, typed ranges, or an uploaded CSV/ICS list)
+ * - Courses, sections and components can be left out, and get their own CATEGORIES and COLOR (RFC 7986);
+ *   the download can be split into one .ics per course, zipped
+ * - Adds reminders (VALARM) per component, e.g. 15 minutes before lectures and a day before exams
+ * - Lists every row that failed or looks suspicious, with the parser that rejected it and why
+ * - Every row can be edited in place, with cells the parsers reject marked, undo, "apply to all matching cells"
+ *   and a download of the corrected data as CSV
+ * - Finds overlapping classes (and clashes with an uploaded personal .ics); each clash can be kept, dropped or tagged CONFLICT
+ * - Previews the generated events on a week grid; single classes or whole series can be left out before download
+ * - Exports a standards-compliant .ics file, either one recurring event (RRULE) per series or every occurrence separately
+ * - UIDs are derived from course, section and component, so re-importing updates events instead of duplicating them.
+ *   Uploading the previous export shows what changed and cancels dropped classes
  *
  * Notes
- * - Default timezone hint set to America/Vancouver via X-WR-TIMEZONE (events are floating local times)
+ * - The conversion itself lives in ./core and has no React dependency; bin/workday2ics.js runs it from the command line
+ * - Reading files (header detection and the mapping guess included) and building events run in a Web Worker
+ *   (./worker.js), with progress and a Cancel button, so large exports do not freeze the page. Rows are converted and
+ *   shown 500 at a time while the sheet is read. Without worker support the same tasks run on the main thread
+ * - Times are written in America/Vancouver by default, with a generated VTIMEZONE and TZID-qualified DTSTART/DTEND.
+ *   Floating (no timezone) and UTC output are still available
  * - If your file fails to parse, try exporting CSV from Excel and uploading that
  */
 export default function WorkdayExcelToICS() {
   const [rows, setRows] = useState([]); // array of objects, keys are headers
   const [headers, setHeaders] = useState([]); // detected header names
+  const [guessMap, setGuessMap] = useState(() => guessInitialMapping([])); // mapping guessed from headers, by the worker for uploads
   const [fileName, setFileName] = useState("");
+  const [sheets, setSheets] = useState([]); // sheet names of the workbook, for switching sheet
+  const [sourceFile, setSourceFile] = useState(null); // the uploaded File, read again when the sheet or header row changes
+  const [sheetName, setSheetName] = useState("");
+  const [headerRowOverride, setHeaderRowOverride] = useState(""); // 1-based sheet row, "" = detect
+  const [headerRow, setHeaderRow] = useState(null); // header row in use, 1-based
   const [error, setError] = useState("");
   const [info, setInfo] = useState("");
   const [mapped, setMapped] = useState({});
+  const [mappingMode, setMappingMode] = useState("columns"); // "columns" | "pattern"
   const [titleTemplate, setTitleTemplate] = useState("{Course} {Component} {Section}");
+  const [locationTemplate, setLocationTemplate] = useState("{Location}");
+  const [descriptionTemplate, setDescriptionTemplate] = useState("{Description}");
   const [calendarName, setCalendarName] = useState("Workday Schedule");
   const [timezone, setTimezone] = useState("America/Vancouver");
+  const [timeMode, setTimeMode] = useState("tzid"); // "tzid" | "floating" | "utc"
+  const [exportMode, setExportMode] = useState("recurring"); // "recurring" | "expanded"
+  const [dateOrder, setDateOrder] = useState("auto"); // "auto" | "MDY" | "DMY" | "YMD"
+  const [dayLanguage, setDayLanguage] = useState("auto"); // "auto" | "en" | "fr" | "es" | "de": language of the day names
+  const [holidayPreset, setHolidayPreset] = useState("");
+  const [exclusionText, setExclusionText] = useState("");
+  const [exclusionFile, setExclusionFile] = useState(null); // { name, ranges }
+  const [previousExport, setPreviousExport] = useState(null); // { name, events: Map<uid, ...> }
+  const [includeCancelled, setIncludeCancelled] = useState(true);
+  const [changes, setChanges] = useState(null); // diff against previousExport from the last download
+  const [preview, setPreview] = useState(null); // { events, errorRows, removedCount } awaiting confirmation
+  const [diagnostics, setDiagnostics] = useState([]); // per-row errors and warnings from the last generate
+  const [focusRow, setFocusRow] = useState(null); // row index highlighted in the row editor
+  const [rowHistory, setRowHistory] = useState([]); // earlier versions of rows, for undo
+  const [lastEdit, setLastEdit] = useState(null); // { header, from, to } of the last single-cell edit
+  const [task, setTask] = useState(null); // { stage, done, total, headers, sample, cancel } of the file read or build in progress
+  const [disabledSeries, setDisabledSeries] = useState(() => new Set());
+  const [disabledOccurrences, setDisabledOccurrences] = useState(() => new Set());
+  const [weekOverrides, setWeekOverrides] = useState({}); // row index -> week pattern text, e.g. "Even weeks"
+  const [personalCalendar, setPersonalCalendar] = useState(null); // { name, text } checked for clashes
+  const [conflictChoices, setConflictChoices] = useState({}); // conflict id -> "keep" | "dropA" | "dropB" | "tag"
+  const [groups, setGroups] = useState({}); // collectGroups settings: kind -> value -> { include, category, color }
+  const [splitByCourse, setSplitByCourse] = useState(false);
+  const [allDay, setAllDay] = useState(false); // rows without times become all-day events
+  const [exams, setExams] = useState(null); // { name, rows, headers } from a final exam report
+  const [examMapped, setExamMapped] = useState({});
+  const [examTitleTemplate, setExamTitleTemplate] = useState("{Course} Exam");
+  const [alarmText, setAlarmText] = useState({ "*": "" }); // component -> "15m, 1d audio"; "*" is the default
+  const [profiles, setProfiles] = useState(loadStoredProfiles);
+  const [activeProfile, setActiveProfile] = useState(""); // name of the profile last applied or saved
+  const [profileName, setProfileName] = useState("");
+  const [resets, setResets] = useState(0); // bumped by Reset, so the file inputs below forget the file they hold
+  // Every loaded file with its own columns and mapping. The file being edited lives in the state above;
+  // its entry here is only brought up to date when another file is opened (see allSources)
+  const [sources, setSources] = useState([]);
+  const [activeSource, setActiveSource] = useState(null);
+  const sourceIds = useRef(0);
+  const restoring = useRef(false); // set while a file's saved mapping is put back, so it is not guessed over
   const inputRef = useRef(null);
+  const running = useRef(null); // the background task behind `task`
 
-  const guessMap = useMemo(() => guessInitialMapping(headers), [headers]);
+  const allSources = () => sources.map((x) => (x.id !== activeSource ? x : {
+    ...x, name: fileName, file: sourceFile, rows, headers, sheets, sheetName, headerRowOverride, headerRow,
+    guess: guessMap, mapped, mappingMode, titleTemplate, locationTemplate, descriptionTemplate, dateOrder, dayLanguage, weekOverrides,
+    activeProfile,
+  }));
 
-  // Apply guesses on first load
+  // What "auto" would pick for the mapped date columns, shown next to the date format setting
+  const detectedOrder = useMemo(() => {
+    const keys = ["patternField", "startDateField", "endDateField"].filter((k) => mapped[k]);
+    return detectDateOrder(rows.map((r) => keys.map((k) => r[mapped[k]]).join("\n")));
+  }, [rows, mapped]);
+  // Likewise for the language of the day names, from the days column and meeting patterns
+  const detectedLanguage = useMemo(() => detectDayLanguage(rows.flatMap((r) => [
+    ...(mappingMode === "pattern" && mapped.patternField ? meetingPatternDays(r[mapped.patternField], detectedOrder.order) : []),
+    ...(mapped.daysField ? [r[mapped.daysField]] : []),
+  ])), [rows, mapped, mappingMode, detectedOrder]);
+  // What the conversion reads the file with: the chosen settings, or what "auto" picked for the whole file
+  const resolvedOrder = dateOrder === "auto" ? detectedOrder.order : dateOrder;
+  const resolvedLanguage = dayLanguage === "auto" ? detectedLanguage : dayLanguage;
+
+  // Rendered text for the first rows, or the template errors, updated as the templates are typed
+  const templatePreview = useMemo(() => {
+    if (!rows.length) return { error: "", samples: [] };
+    try {
+      const templates = compileTemplates({ titleTemplate, locationTemplate, descriptionTemplate }, headers);
+      const samples = rows.slice(0, 3).map((row) => {
+        const fromPattern = mappingMode === "pattern" ? parseMeetingPatterns(row[mapped.patternField], resolvedOrder, resolvedLanguage)[0]?.location : "";
+        const rowLocation = mapped.locationField ? String(row[mapped.locationField] ?? "").trim() : "";
+        return renderEventText(templates, row, mapped, fromPattern || rowLocation);
+      });
+      return { error: "", samples };
+    } catch (e) {
+      return { error: e.message, samples: [] };
+    }
+  }, [rows, headers, mapped, mappingMode, titleTemplate, locationTemplate, descriptionTemplate, resolvedOrder, resolvedLanguage]);
+
+  // New values get defaults; ones seen before keep what the user set
   React.useEffect(() => {
+    const values = allSources().flatMap((x) => x.rows.map((r) => rowGroups(r, x.mapped)));
+    setGroups((g) => collectGroups(values, GROUP_VALUE_FIELDS, g));
+  }, [sources, rows, mapped.courseField, mapped.sectionField, mapped.componentField]);
+
+  const typedExclusions = useMemo(() => parseExclusionText(exclusionText), [exclusionText]);
+  const components = useMemo(() => [...new Set(
+    allSources().flatMap((x) => x.rows.map((r) => rowGroups(r, x.mapped).component)).filter(Boolean)
+  )].sort(), [sources, rows, mapped.componentField]);
+  // Blank entries are left out so those components fall back to the default
+  const parsedAlarms = useMemo(() => Object.fromEntries(
+    Object.entries(alarmText).filter(([, t]) => t.trim()).map(([k, t]) => [k, parseAlarms(t)])
+  ), [alarmText]);
+
+  const applyProfile = (p) => {
+    setMapped({ ...guessMap, ...p.mapping });
+    setMappingMode(p.mappingMode || defaultMappingMode(p.mapping));
+    if (p.titleTemplate != null) setTitleTemplate(p.titleTemplate);
+    if (p.locationTemplate != null) setLocationTemplate(p.locationTemplate);
+    if (p.descriptionTemplate != null) setDescriptionTemplate(p.descriptionTemplate);
+    if (p.calendarName != null) setCalendarName(p.calendarName);
+    if (p.timezone) setTimezone(p.timezone);
+    if (p.timeMode) setTimeMode(p.timeMode);
+    if (p.exportMode) setExportMode(p.exportMode);
+    if (p.dateOrder) setDateOrder(p.dateOrder);
+    if (p.dayLanguage) setDayLanguage(p.dayLanguage);
+    setActiveProfile(p.name);
+    setProfileName(p.name);
+  };
+
+  // Apply a saved profile that fits these headers, otherwise the guesses, on first load
+  React.useEffect(() => {
+    if (restoring.current) { restoring.current = false; return; }
+    const profile = headers.length ? matchProfile(profiles, headers) : null;
+    if (profile) {
+      applyProfile(profile);
+      setInfo((i) => `${i} Applied saved profile "${profile.name}".`.trim());
+      return;
+    }
     setMapped((m) => ({ ...m, ...guessMap }));
+    if (defaultMappingMode(guessMap) === "pattern") setMappingMode("pattern");
   }, [guessMap]);
 
-  const handleFile = async (file) => {
+  const updateProfiles = (next) => {
+    setProfiles(next);
+    storeProfiles(next);
+  };
+
+  const handleSaveProfile = () => {
+    const name = profileName.trim() || activeProfile || "My profile";
+    const profile = makeProfile(name, headers, mapped, { mappingMode, titleTemplate, locationTemplate, descriptionTemplate, calendarName, timezone, timeMode, exportMode, dateOrder, dayLanguage });
+    updateProfiles([...profiles.filter((p) => p.name !== name), profile]);
+    setActiveProfile(name);
+    setProfileName(name);
+    setInfo(`Saved profile "${name}".`);
+  };
+
+  const handleDeleteProfile = () => {
+    updateProfiles(profiles.filter((p) => p.name !== activeProfile));
+    setInfo(`Deleted profile "${activeProfile}".`);
+    setActiveProfile("");
+  };
+
+  const handleExportProfile = () => {
+    const profile = profiles.find((p) => p.name === activeProfile);
+    if (profile) downloadFile(JSON.stringify(profile, null, 2), sanitizeFileName(profile.name || "profile") + ".json", "application/json");
+  };
+
+  const handleImportProfile = async (file) => {
     setError("");
-    setInfo("");
-    setRows([]);
-    setHeaders([]);
-    setFileName(file?.name || "");
     if (!file) return;
+    try {
+      const profile = normalizeProfile(JSON.parse(await file.text()));
+      updateProfiles([...profiles.filter((p) => p.name !== profile.name), profile]);
+      if (headers.length && matchProfile([profile], headers)) {
+        applyProfile(profile);
+        setInfo(`Imported and applied profile "${profile.name}".`);
+      } else {
+        setInfo(`Imported profile "${profile.name}". It is applied automatically when a file with matching columns is loaded.`);
+      }
+    } catch (e) {
+      setError(`Failed to read profile. ${e.message || e.toString()}`);
+    }
+  };
+
+  const initialSettings = (hdrs, guess) => {
+    // What the guess effect below picks, for files that are loaded but not opened yet
+    const profile = matchProfile(profiles, hdrs);
+    const guessed = { ...guess, ...profile?.mapping };
+    return {
+      mapped: guessed,
+      mappingMode: profile?.mappingMode || defaultMappingMode(guessed),
+      titleTemplate: profile?.titleTemplate ?? titleTemplate,
+      locationTemplate: profile?.locationTemplate ?? locationTemplate,
+      descriptionTemplate: profile?.descriptionTemplate ?? descriptionTemplate,
+      dateOrder: profile?.dateOrder || "auto",
+      dayLanguage: profile?.dayLanguage || "auto",
+      weekOverrides: {},
+      activeProfile: profile?.name || "",
+    };
+  };
+
+  const handleFiles = async (files) => {
+    // New files are added to the session, not swapped in; the last one is opened for mapping
+    setError("");
+    setInfo("");
+    setPreview(null);
+    setDiagnostics([]);
+    setFocusRow(null);
+    const added = [];
+    const failed = [];
+    let cancelled = false;
+    for (const file of files) {
+      try {
+        const rows = [];
+        const table = await runInBackground({ type: "read", file }, (chunk) => rows.push(...chunk));
+        added.push({
+          id: ++sourceIds.current,
+          name: file.name,
+          file,
+          sheets: table.sheets,
+          sheetName: table.sheetName,
+          headerRowOverride: "",
+          headerRow: table.headerRow,
+          rows,
+          headers: table.headers,
+          guess: table.guess,
+          message: table.message,
+          ...initialSettings(table.headers, table.guess),
+        });
+      } catch (e) {
+        // Cancelling stops at this file; the ones already read are still added
+        if (e.cancelled) { cancelled = true; break; }
+        console.error(e);
+        failed.push(`Failed to read ${file.name}. ${e.message || e.toString()}`);
+      }
+    }
+    if (failed.length) setError(failed.join(" "));
+    const skipped = cancelled ? files.length - added.length - failed.length : 0;
+    const note = skipped ? `Cancelled; ${skipped} of ${files.length} files were not read.` : "";
+    if (!added.length) { if (note) setInfo(note); return; }
+    setSources([...allSources(), ...added]);
+    openSource(added[added.length - 1], true);
+    setInfo([...added.map((x) => (sources.length || added.length > 1 ? `${x.name}: ${x.message}` : x.message)), note].filter(Boolean).join(" "));
+  };
+
+  const openSource = (src, fresh = false) => {
+    // fresh: a just-loaded file, which gets the profile or guessed mapping like a first upload
+    restoring.current = !fresh;
+    setActiveSource(src.id);
+    setFileName(src.name);
+    setRows(src.rows);
+    setHeaders(src.headers);
+    setGuessMap(src.guess);
+    setSheets(src.sheets);
+    setSourceFile(src.file);
+    setSheetName(src.sheetName);
+    setHeaderRowOverride(src.headerRowOverride);
+    setHeaderRow(src.headerRow);
+    setMapped(src.mapped);
+    setMappingMode(src.mappingMode);
+    setTitleTemplate(src.titleTemplate);
+    setLocationTemplate(src.locationTemplate);
+    setDescriptionTemplate(src.descriptionTemplate);
+    setDateOrder(src.dateOrder);
+    setDayLanguage(src.dayLanguage);
+    setWeekOverrides(src.weekOverrides);
+    setActiveProfile(src.activeProfile);
+    setProfileName(src.activeProfile);
+    setFocusRow(null);
+    setRowHistory([]);
+    setLastEdit(null);
+  };
+
+  const switchSource = (id) => {
+    if (id === activeSource) return;
+    const list = allSources();
+    setSources(list);
+    openSource(list.find((x) => x.id === id));
+  };
+
+  const removeSource = (id) => {
+    const list = allSources().filter((x) => x.id !== id);
+    if (!list.length) { handleReset(); return; }
+    setSources(list);
+    setPreview(null);
+    setDiagnostics([]);
+    if (id === activeSource) openSource(list[list.length - 1]);
+  };
 
+  const reloadSheet = async (name, override) => {
+    // The file is read again in the background. Read first: a sheet or header row that does not work leaves the
+    // current table (and its controls) in place
+    setError("");
     try {
+      const rows = [];
+      const table = await runInBackground({ type: "read", file: sourceFile, sheetName: name, override }, (chunk) => rows.push(...chunk));
+      setSheetName(table.sheetName);
+      setHeaderRowOverride(override);
+      setPreview(null);
+      setDiagnostics([]);
+      setFocusRow(null);
+      setWeekOverrides({});
+      setRowHistory([]);
+      setLastEdit(null);
+      setRows(rows);
+      setHeaders(table.headers);
+      setGuessMap(table.guess);
+      setHeaderRow(table.headerRow);
+      setInfo(table.message);
+    } catch (e) {
+      if (e.cancelled) return;
+      setError(`Failed to read sheet. ${e.message || e.toString()}`);
+    }
+  };
+
+  const handleExclusionFile = async (file) => {
+    setError("");
+    if (!file) { setExclusionFile(null); return; }
+    try {
+      const text = await file.text();
       const ext = (file.name.split(".").pop() || "").toLowerCase();
+      const ranges = ext === "ics" ? parseICSExclusions(text) : parseExclusionText(text).ranges;
+      if (!ranges.length) throw new Error("No dates found");
+      setExclusionFile({ name: file.name, ranges });
+    } catch (e) {
+      setError(`Failed to read no-class dates. ${e.message || e.toString()}`);
+    }
+  };
 
-      if (ext === "xlsx" || ext === "xls") {
-        const ab = await file.arrayBuffer();
-        const wb = XLSX.read(ab, { type: "array", cellDates: true });
-        const firstSheet = wb.SheetNames[0];
-        const ws = wb.Sheets[firstSheet];
-        const json = XLSX.utils.sheet_to_json(ws, { defval: "", raw: false });
-        if (!json.length) throw new Error("No rows detected");
-        const hdrs = Object.keys(json[0]);
-        setRows(json);
-        setHeaders(hdrs);
-        setInfo(`Loaded ${json.length} rows from sheet "${firstSheet}"`);
-        return;
-      }
+  const handlePersonalCalendar = async (file) => {
+    setError("");
+    if (!file) { setPersonalCalendar(null); return; }
+    try {
+      const text = await file.text();
+      if (!parseBusyEvents(text, timezone).events.length) throw new Error("No timed events found");
+      setPersonalCalendar({ name: file.name, text });
+    } catch (e) {
+      setError(`Failed to read personal calendar. ${e.message || e.toString()}`);
+    }
+  };
 
-      if (ext === "csv") {
-        const text = await file.text();
-        const { data, hdrs } = parseCSV(text);
-        if (!data.length) throw new Error("No rows detected");
-        setRows(data);
-        setHeaders(hdrs);
-        setInfo(`Loaded ${data.length} rows from CSV`);
-        return;
-      }
+  const handleExamFile = async (file) => {
+    setError("");
+    setPreview(null);
+    if (!file) { setExams(null); setExamMapped({}); return; }
+    try {
+      const rows = [];
+      const table = await runInBackground({ type: "read", file, exam: true }, (chunk) => rows.push(...chunk));
+      setExams({ name: file.name, rows, headers: table.headers });
+      setExamMapped(table.guess);
+    } catch (e) {
+      if (e.cancelled) return;
+      setError(`Failed to read exam schedule. ${e.message || e.toString()}`);
+    }
+  };
 
-      throw new Error("Please upload an .xlsx or .csv file");
+  const handlePreviousExport = async (file) => {
+    setError("");
+    setChanges(null);
+    if (!file) { setPreviousExport(null); return; }
+    try {
+      const events = parsePreviousExport(await file.text());
+      if (!events.size) throw new Error("No events found");
+      setPreviousExport({ name: file.name, events });
     } catch (e) {
-      console.error(e);
-      setError(`Failed to read file. ${e.message || e.toString()}`);
+      setError(`Failed to read previous export. ${e.message || e.toString()}`);
     }
   };
 
   const onDrop = (e) => {
     e.preventDefault();
     if (!e.dataTransfer.files?.length) return;
-    handleFile(e.dataTransfer.files[0]);
+    handleFiles([...e.dataTransfer.files]);
   };
 
   const onBrowse = (e) => {
-    const f = e.target.files?.[0];
-    if (f) handleFile(f);
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (files.length) handleFiles(files);
   };
 
+  const patternMode = mappingMode === "pattern";
+
+  const sourceList = allSources();
+  const sourceControls = (
+    <div className="mt-4 p-3 border rounded-xl bg-white text-sm">
+      <div className="font-medium">Files</div>
+      <p className="text-xs text-gray-500">Each file keeps its own columns and mapping; click one to map it. All of them go into the same calendar.</p>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {sourceList.map((x) => (
+          <div key={x.id} className={`flex items-center rounded-xl border ${x.id === activeSource ? "bg-black text-white" : ""}`}>
+            <button onClick={()=>switchSource(x.id)} className="px-3 py-1">{x.name} <span className="opacity-60">({x.rows.length} rows)</span></button>
+            <button onClick={()=>removeSource(x.id)} title={`Remove ${x.name}`} className="px-2 py-1 opacity-60 hover:opacity-100">×</button>
+          </div>
+        ))}
+        <button onClick={()=>inputRef.current?.click()} className="px-3 py-1 rounded-xl border border-dashed">Add file</button>
+      </div>
+    </div>
+  );
+
+  const sheetControls = (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+      {sheets.length > 1 && (
+        <div className="flex flex-col">
+          <label className="text-sm text-gray-600 mb-1">Sheet</label>
+          <select className="border rounded-xl px-3 py-2" value={sheetName} onChange={(e)=>reloadSheet(e.target.value, "")}>
+            {sheets.map((x)=> <option key={x} value={x}>{x}</option>)}
+          </select>
+        </div>
+      )}
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Header row</label>
+        <input
+          key={`${sheetName}|${headerRowOverride}`}
+          type="number" min={1}
+          className="border rounded-xl px-3 py-2"
+          defaultValue={headerRowOverride}
+          placeholder={headerRow ? `Auto (row ${headerRow})` : "Auto"}
+          onBlur={(e)=>{ if (e.target.value.trim() !== headerRowOverride) reloadSheet(sheetName, e.target.value.trim()); }}
+          onKeyDown={(e)=>{ if (e.key === "Enter") e.target.blur(); }}
+        />
+        <p className="text-xs text-gray-500 mt-1">Detected from the column names. Enter a row number if the wrong row was picked, then press Enter.</p>
+      </div>
+    </div>
+  );
+
+  const profileControls = (
+    <div className="mt-4 p-3 border rounded-xl bg-white flex flex-wrap items-end gap-3 text-sm">
+      <div className="flex flex-col">
+        <label className="text-gray-600 mb-1">Saved profiles</label>
+        <select
+          className="border rounded-xl px-3 py-2"
+          value={activeProfile}
+          onChange={(e)=>{ const p = profiles.find((x) => x.name === e.target.value); if (p) applyProfile(p); else setActiveProfile(""); }}
+        >
+          <option value="">-- None --</option>
+          {profiles.map((p)=> <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-gray-600 mb-1">Profile name</label>
+        <input className="border rounded-xl px-3 py-2" value={profileName} onChange={(e)=>setProfileName(e.target.value)} placeholder="e.g. UBC Workday" />
+      </div>
+      <button onClick={handleSaveProfile} className="px-3 py-2 rounded-xl border">Save mapping</button>
+      <button onClick={handleDeleteProfile} disabled={!activeProfile} className="px-3 py-2 rounded-xl border disabled:opacity-40">Delete</button>
+      <button onClick={handleExportProfile} disabled={!activeProfile} className="px-3 py-2 rounded-xl border disabled:opacity-40">Export JSON</button>
+      <label className="px-3 py-2 rounded-xl border cursor-pointer">
+        Import JSON
+        <input type="file" accept=".json,application/json" className="hidden" onChange={(e)=>{ handleImportProfile(e.target.files?.[0]); e.target.value = ""; }} />
+      </label>
+    </div>
+  );
+
   const mappingControls = (
     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Mapping mode</label>
+        <select className="border rounded-xl px-3 py-2" value={mappingMode} onChange={(e)=>setMappingMode(e.target.value)}>
+          <option value="columns">Separate date, time and days columns</option>
+          <option value="pattern">Combined pattern column</option>
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Use the combined mode for Workday's "Meeting Patterns" column. Date, time and days columns then only fill in what a pattern leaves out.</p>
+      </div>
+      {patternMode
+        ? renderSelect("Meeting patterns", "patternField", headers, mapped, setMapped, true, "Example: Mon/Wed/Fri | 10:00 AM - 10:50 AM | ANGU-098. Several patterns may be on separate lines.")
+        : <div className="hidden md:block" />}
       {renderSelect("Title field (optional)", "titleField", headers, mapped, setMapped)}
-      {renderText("Title template", titleTemplate, setTitleTemplate, "Use tokens like {Course}, {Component}, {Section}. Ignored if Title field is selected.")}
+      {renderText("Title template", titleTemplate, setTitleTemplate, "Any column in braces, e.g. {Course} {Instructor Name}. Ignored if Title field is selected.")}
       {renderSelect("Course (optional)", "courseField", headers, mapped, setMapped)}
       {renderSelect("Component (LEC, LBL, etc, optional)", "componentField", headers, mapped, setMapped)}
       {renderSelect("Section (optional)", "sectionField", headers, mapped, setMapped)}
-      {renderSelect("Start date", "startDateField", headers, mapped, setMapped, true)}
-      {renderSelect("End date", "endDateField", headers, mapped, setMapped, true)}
-      {renderSelect("Start time", "startTimeField", headers, mapped, setMapped, true)}
-      {renderSelect("End time", "endTimeField", headers, mapped, setMapped, true)}
-      {renderSelect("Days pattern", "daysField", headers, mapped, setMapped, true, "Examples: MWF, TuTh, Mon Wed Fri, TTh")}
+      {renderSelect("Start date", "startDateField", headers, mapped, setMapped, !patternMode)}
+      {renderSelect("End date", "endDateField", headers, mapped, setMapped, false, "Rows ending on their start date are a single event.")}
+      {renderSelect("Start time", "startTimeField", headers, mapped, setMapped, false, "May hold the whole range, e.g. 9:00 AM - 11:30 AM.")}
+      {renderSelect("End time", "endTimeField", headers, mapped, setMapped)}
+      {renderSelect("Days pattern", "daysField", headers, mapped, setMapped, false, "Examples: MWF, TuTh, Mon Wed Fri, TTh. Rows without days are a single event on the start date.")}
       {renderSelect("Location (optional)", "locationField", headers, mapped, setMapped)}
       {renderSelect("Description (optional)", "descField", headers, mapped, setMapped)}
+      {renderText("Location template", locationTemplate, setLocationTemplate, "{Location} is the meeting pattern's room, or the Location column.")}
+      {renderText("Description template", descriptionTemplate, setDescriptionTemplate, "Use \\n for a line break, e.g. {Description}\\nInstructor: {Instructor Name}")}
+      <div className="md:col-span-2 p-3 border rounded-xl bg-white text-sm">
+        <div className="font-medium">Template preview</div>
+        <p className="text-xs text-gray-500">
+          {"{Title|Course}"} uses the first non-empty value, {"{Course:upper}"} and {"{Course Title:truncate(30)}"} transform it
+          (also lower, title, trim, extract(/regex/)), and text in [brackets] is left out when a token inside is empty.
+        </p>
+        {templatePreview.error
+          ? <pre className="mt-2 text-xs text-red-600 whitespace-pre-wrap">{templatePreview.error}</pre>
+          : (
+            <ul className="mt-2 divide-y">
+              {templatePreview.samples.map((x, i) => (
+                <li key={i} className="py-1">
+                  <span className="font-medium">{x.summary}</span>
+                  {x.location && <span className="text-gray-600"> @ {x.location}</span>}
+                  {x.description && <div className="text-xs text-gray-500 whitespace-pre-wrap">{x.description}</div>}
+                </li>
+              ))}
+            </ul>
+          )}
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Date format</label>
+        <select className="border rounded-xl px-3 py-2" value={dateOrder} onChange={(e)=>setDateOrder(e.target.value)}>
+          <option value="auto">Auto ({detectedOrder.ambiguous ? "unclear, " : ""}reads as {detectedOrder.order === "DMY" ? "day/month" : "month/day"})</option>
+          <option value="MDY">Month/day/year (04/09/2025 is April 9)</option>
+          <option value="DMY">Day/month/year (04/09/2025 is 4 September)</option>
+          <option value="YMD">Year/month/day</option>
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Auto looks at the whole column: a first number over 12 means day/month. Dates with the year first or a month name are always read correctly.</p>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Day names</label>
+        <select className="border rounded-xl px-3 py-2" value={dayLanguage} onChange={(e)=>setDayLanguage(e.target.value)}>
+          <option value="auto">Auto (reads as {DAY_LANGUAGE_LABELS[detectedLanguage]})</option>
+          {Object.entries(DAY_LANGUAGE_LABELS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">The language of your Workday export. In French L M W J V and in Spanish L M X J V are Monday to Friday; auto picks the language that reads the most day cells.</p>
+      </div>
       <div className="flex flex-col">
-        <label className="text-sm text-gray-600 mb-1">Timezone hint</label>
-        <input className="border rounded-xl px-3 py-2" value={timezone} onChange={(e)=>setTimezone(e.target.value)} placeholder="America/Vancouver" />
-        <p className="text-xs text-gray-500 mt-1">Calendars will treat times as local by default. This tag helps consumers group events under a calendar timezone.</p>
+        <label className="text-sm text-gray-600 mb-1">Timezone</label>
+        <select className="border rounded-xl px-3 py-2" value={timezone} onChange={(e)=>setTimezone(e.target.value)}>
+          {(TIME_ZONES.includes(timezone) ? TIME_ZONES : [timezone, ...TIME_ZONES]).map((z)=> <option key={z} value={z}>{z}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">The timezone your classes happen in. Times in the spreadsheet are read as local times in this zone.</p>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Time format</label>
+        <select className="border rounded-xl px-3 py-2" value={timeMode} onChange={(e)=>setTimeMode(e.target.value)}>
+          <option value="tzid">With timezone (recommended)</option>
+          <option value="floating">Floating local time</option>
+          <option value="utc">UTC</option>
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Floating times follow whatever timezone the calendar app is in. UTC converts each class to UTC; repeating classes are listed date by date (RDATE) instead of as a rule, so they stay at the same local time after a DST change.</p>
       </div>
       <div className="flex flex-col">
         <label className="text-sm text-gray-600 mb-1">Calendar name</label>
         <input className="border rounded-xl px-3 py-2" value={calendarName} onChange={(e)=>setCalendarName(e.target.value)} />
       </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Previous export (optional)</label>
+        <input key={resets} type="file" accept=".ics" className="border rounded-xl px-3 py-2 text-sm" onChange={(e)=>handlePreviousExport(e.target.files?.[0])} />
+        {previousExport && (
+          <label className="text-xs text-gray-600 mt-1 flex items-center gap-2">
+            <input type="checkbox" checked={includeCancelled} onChange={(e)=>setIncludeCancelled(e.target.checked)} />
+            Cancel classes that are no longer in the schedule ({previousExport.events.size} events in {previousExport.name})
+          </label>
+        )}
+        <p className="text-xs text-gray-500 mt-1">Upload the .ics you imported last time to see what changed. Events keep their IDs, so your calendar updates them in place.</p>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Export mode</label>
+        <select className="border rounded-xl px-3 py-2" value={exportMode} onChange={(e)=>setExportMode(e.target.value)}>
+          <option value="recurring">Recurring events (one per series)</option>
+          <option value="expanded">Every occurrence as its own event</option>
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Recurring events can be edited or deleted as a whole. Use the expanded mode if your calendar app handles repeating events badly.</p>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1 flex items-center gap-2">
+          <input type="checkbox" checked={allDay} onChange={(e)=>setAllDay(e.target.checked)} />
+          Rows without times are all-day events
+        </label>
+        <p className="text-xs text-gray-500 mt-1">Otherwise a row with no start or end time is reported as an error. All-day rows without days cover every date from start to end.</p>
+      </div>
     </div>
   );
 
-  const previewTable = (
-    <div className="mt-6 overflow-auto max-h-72 border rounded-xl">
-      <table className="min-w-full text-sm">
-        <thead className="bg-gray-50 sticky top-0">
-          <tr>
-            {headers.map((h) => (
-              <th key={h} className="text-left px-3 py-2 font-semibold border-b">{h}</th>
-            ))}
-          </tr>
-        </thead>
-        <tbody>
-          {rows.slice(0, 10).map((r, i) => (
-            <tr key={i} className="odd:bg-white even:bg-gray-50">
-              {headers.map((h) => (
-                <td key={h} className="px-3 py-2 border-b align-top">{String(r[h] ?? "")}</td>
-              ))}
-            </tr>
-          ))}
-        </tbody>
-      </table>
+  const examControls = (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Final exam report (.xlsx or .csv, optional)</label>
+        <input key={resets} type="file" accept=".xlsx,.xls,.csv" className="border rounded-xl px-3 py-2 text-sm" onChange={(e)=>handleExamFile(e.target.files?.[0])} />
+        {exams && <p className="text-xs text-gray-500 mt-1">{exams.name}: {exams.rows.length} exams</p>}
+      </div>
+      {exams
+        ? renderText("Exam title template", examTitleTemplate, setExamTitleTemplate, "Columns of the exam report in braces, e.g. {Course} Final.")
+        : <div className="hidden md:block" />}
+      {exams && (
+        <>
+          {renderSelect("Exam date", "startDateField", exams.headers, examMapped, setExamMapped, true, "May also hold the time, e.g. 2025-12-12 9:00 AM - 11:30 AM.")}
+          {renderSelect("Start time", "startTimeField", exams.headers, examMapped, setExamMapped)}
+          {renderSelect("End time", "endTimeField", exams.headers, examMapped, setExamMapped)}
+          {renderSelect("Course (optional)", "courseField", exams.headers, examMapped, setExamMapped)}
+          {renderSelect("Section (optional)", "sectionField", exams.headers, examMapped, setExamMapped)}
+          {renderSelect("Exam type (optional)", "componentField", exams.headers, examMapped, setExamMapped, false, "Defaults to Exam, which is also the component reminders use.")}
+          {renderSelect("Location (optional)", "locationField", exams.headers, examMapped, setExamMapped)}
+        </>
+      )}
     </div>
   );
 
-  const handleGenerate = () => {
-    try {
-      const req = ["startDateField", "endDateField", "startTimeField", "endTimeField", "daysField"];
-      for (const k of req) {
-        if (!mapped[k]) throw new Error(`Missing required mapping: ${labelForKey(k)}`);
+  const exclusionControls = (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">Statutory holidays</label>
+        <select className="border rounded-xl px-3 py-2" value={holidayPreset} onChange={(e)=>setHolidayPreset(e.target.value)}>
+          <option value="">-- None --</option>
+          {Object.entries(HOLIDAY_PRESETS).map(([k, p])=> <option key={k} value={k}>{p.label}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">Holidays that fall on a weekend also skip the observed weekday.</p>
+      </div>
+      <div className="flex flex-col">
+        <label className="text-sm text-gray-600 mb-1">No-class dates file (.csv or .ics)</label>
+        <input key={resets} type="file" accept=".csv,.txt,.ics" className="border rounded-xl px-3 py-2 text-sm" onChange={(e)=>handleExclusionFile(e.target.files?.[0])} />
+        {exclusionFile && <p className="text-xs text-gray-500 mt-1">{exclusionFile.name}: {exclusionFile.ranges.length} dates or ranges</p>}
+      </div>
+      <div className="flex flex-col md:col-span-2">
+        <label className="text-sm text-gray-600 mb-1">Other no-class dates</label>
+        <textarea className="border rounded-xl px-3 py-2 font-mono text-sm" rows={3} value={exclusionText} onChange={(e)=>setExclusionText(e.target.value)} placeholder={"2025-11-10 - 2025-11-14, Reading week\n2025-10-13, Thanksgiving"} />
+        <p className="text-xs text-gray-500 mt-1">One date or range per line, optionally followed by a comma and a label.</p>
+        {!!typedExclusions.invalid.length && <p className="text-xs text-red-600 mt-1">Could not read: {typedExclusions.invalid.join("; ")}</p>}
+      </div>
+    </div>
+  );
+
+  // Why each mapped cell would be rejected, keyed like the rows; "" for cells that pass or are not mapped
+  const cellProblems = useMemo(() => {
+    const checked = Object.entries(mapped).filter(([, h]) => h && headers.includes(h));
+    return rows.map((r) => {
+      const out = {};
+      for (const [key, h] of checked) {
+        const why = checkCell(key, r[h], { mappingMode, dateOrder: resolvedOrder, dayLanguage: resolvedLanguage, allDay });
+        if (why && !out[h]) out[h] = `${labelForKey(key)}: ${why}`;
       }
+      return out;
+    });
+  }, [rows, headers, mapped, mappingMode, resolvedOrder, resolvedLanguage, allDay]);
+  const columnLabels = Object.fromEntries(Object.entries(mapped).filter(([, h]) => h).map(([key, h]) => [h, labelForKey(key)]).reverse());
+
+  const editRows = (next, edit) => {
+    // Every edit can be undone; an open preview is rebuilt from the edited rows straight away
+    setRowHistory((h) => [...h.slice(-49), rows]);
+    setRows(next);
+    setLastEdit(edit);
+    if (preview) handleGenerate(allSources().map((x) => (x.id === activeSource ? { ...x, rows: next } : x)));
+  };
+
+  const handleCellEdit = (index, header, value) => {
+    const from = String(rows[index]?.[header] ?? "");
+    if (value === from) return;
+    editRows(rows.map((r, i) => (i === index ? { ...r, [header]: value } : r)), { header, from, to: value });
+  };
+
+  // Other cells in the same column that still hold what the last edit replaced
+  const sameAsEdited = (r) => lastEdit && String(r[lastEdit.header] ?? "").trim() === lastEdit.from.trim();
+  const matchingCount = lastEdit ? rows.filter(sameAsEdited).length : 0;
+
+  const handleApplyToAll = () => {
+    editRows(rows.map((r) => (sameAsEdited(r) ? { ...r, [lastEdit.header]: lastEdit.to } : r)), null);
+  };
+
+  const handleUndo = () => {
+    if (!rowHistory.length) return;
+    const prev = rowHistory[rowHistory.length - 1];
+    setRowHistory((h) => h.slice(0, -1));
+    setRows(prev);
+    setLastEdit(null);
+    if (preview) handleGenerate(allSources().map((x) => (x.id === activeSource ? { ...x, rows: prev } : x)));
+  };
+
+  const handleDownloadCSV = () => {
+    const base = fileName.replace(/\.[^.]+$/, "") || "schedule";
+    downloadFile(toCSV(headers, rows), sanitizeFileName(base) + "-corrected.csv", "text/csv;charset=utf-8");
+  };
+
+  const alarmControls = (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+      {["*", ...components].map((c) => (
+        <div key={c} className="flex flex-col">
+          <label className="text-sm text-gray-600 mb-1">{c === "*" ? "Default" : c}</label>
+          <input
+            className="border rounded-xl px-3 py-2"
+            value={alarmText[c] || ""}
+            onChange={(e)=>setAlarmText((a)=>({ ...a, [c]: e.target.value }))}
+            placeholder={c === "*" ? "No reminders" : "Same as default"}
+          />
+          {!!parsedAlarms[c]?.invalid.length && <p className="text-xs text-red-600 mt-1">Could not read: {parsedAlarms[c].invalid.join("; ")}</p>}
+        </div>
+      ))}
+      <p className="text-xs text-gray-500 md:col-span-3">
+        Times before each class, separated by commas: 15m, 2h, 1d. Add "audio" for a sound instead of a notification (1d audio), or type "none" to turn a component's reminders off.
+        {!mapped.componentField && " Map a Component column to set reminders per component."}
+      </p>
+    </div>
+  );
 
-      const events = [];
-      const errors = [];
-
-      rows.forEach((row, idx) => {
-        try {
-          const startDate = parseDate(row[mapped.startDateField]);
-          const endDate = parseDate(row[mapped.endDateField]);
-          const startTime = parseTime(row[mapped.startTimeField]);
-          const endTime = parseTime(row[mapped.endTimeField]);
-          const days = parseDays(row[mapped.daysField]);
-
-          if (!startDate || !endDate || !startTime || !endTime || days.size === 0) {
-            throw new Error("Could not parse one of date, time, or days");
-          }
-
-          // Build title
-          let summary = "";
-          if (mapped.titleField) {
-            summary = String(row[mapped.titleField] ?? "").trim();
-          } else {
-            summary = titleTemplate
-              .replaceAll("{Course}", String(row[mapped.courseField] ?? "").trim())
-              .replaceAll("{Component}", String(row[mapped.componentField] ?? "").trim())
-              .replaceAll("{Section}", String(row[mapped.sectionField] ?? "").trim())
-              .replace(/\s+/g, " ")
-              .trim();
-          }
-          if (!summary) summary = "Class";
-
-          const location = mapped.locationField ? String(row[mapped.locationField] ?? "").trim() : "";
-          const description = mapped.descField ? String(row[mapped.descField] ?? "").trim() : "";
-
-          const occurrences = expandOccurrences(startDate, endDate, days);
-          occurrences.forEach((d) => {
-            const dtStart = combineDateTime(d, startTime);
-            const dtEnd = combineDateTime(d, endTime);
-            events.push({ summary, location, description, dtStart, dtEnd });
-          });
-        } catch (e) {
-          errors.push({ idx: idx + 1, error: e.message || String(e) });
-        }
+  const runInBackground = async (job, onRows = () => {}) => {
+    // One task at a time: a newer read or build replaces one still running, whose promise then rejects as cancelled
+    running.current?.cancel();
+    const started = startTask(job, (m) => {
+      if (m.type === "rows") onRows(m.rows);
+      setTask((t) => t && {
+        ...t,
+        stage: m.type === "rows" ? "Loading rows" : m.stage,
+        done: m.done,
+        total: m.total,
+        ...(m.type === "rows" && { headers: m.headers, sample: t.sample.length >= 10 ? t.sample : [...t.sample, ...m.rows].slice(0, 10) }),
       });
+    });
+    running.current = started;
+    setTask({ stage: "Starting", done: 0, total: 0, headers: [], sample: [], cancel: started.cancel });
+    try {
+      return await started.promise;
+    } finally {
+      if (running.current === started) {
+        running.current = null;
+        setTask(null);
+      }
+    }
+  };
+
+  const handleCancelTask = () => {
+    running.current?.cancel();
+    setInfo("Cancelled.");
+  };
 
+  const handleGenerate = async (list = allSources()) => {
+    setError("");
+    setFocusRow(null);
+    try {
+      if (timeMode !== "floating" && !isValidTimeZone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+
+      // Only what the build reads is sent to the worker; sheets and profile names stay here
+      const input = {
+        sources: list.map((x) => ({
+          name: x.name,
+          rows: x.rows,
+          mapped: x.mapped,
+          mappingMode: x.mappingMode,
+          titleTemplate: x.titleTemplate,
+          locationTemplate: x.locationTemplate,
+          descriptionTemplate: x.descriptionTemplate,
+          dateOrder: x.dateOrder,
+          dayLanguage: x.dayLanguage,
+          weekOverrides: x.weekOverrides,
+        })),
+        exams: exams && { rows: exams.rows, mapped: examMapped, titleTemplate: examTitleTemplate },
+        options: {
+          exportMode,
+          holidayPreset,
+          exclusions: [...typedExclusions.ranges, ...(exclusionFile?.ranges || [])],
+          groups,
+          allDay,
+        },
+        busy: personalCalendar && { text: personalCalendar.text, zone: timeMode === "floating" ? "" : timezone },
+      };
+      // The current preview stays up until the new one is ready, so edits do not make it flash
+      const built = await runInBackground({ type: "generate", input });
+      const { events, issues, occurrenceCount, removedCount, conflicts } = built;
+
+      setPreview(null);
+      setDiagnostics(issues);
       if (!events.length) throw new Error("No events generated. Check mappings and data.");
 
-      const ics = buildICS(events, calendarName, timezone);
-      downloadText(ics, sanitizeFileName((calendarName || "schedule")) + ".ics");
-      setInfo(`Generated ${events.length} events. ${errors.length ? "Rows with issues: " + errors.length : "All rows parsed."}`);
-      if (errors.length) console.warn("Row errors", errors);
+      const errorRows = new Set(issues.filter((x) => x.severity === "error").map((x) => `${x.fileIndex ?? x.source}:${x.row}`)).size;
+      setPreview({ events, errorRows, removedCount, conflicts, busySkipped: built.busySkipped, builtAt: Date.now() });
+      setDisabledSeries(new Set());
+      setDisabledOccurrences(new Set());
+      setConflictChoices({});
+      setChanges(null);
+      const clashes = conflicts.length ? `${conflicts.length} pairs of events overlap, see Conflicts. ` : "";
+      const merged = built.duplicates.length ? `${built.duplicates.length} events were in more than one file and are kept once. ` : "";
+      setInfo(`Built ${occurrenceCount} classes. ${merged}${errorRows ? `${errorRows} rows could not be read, see Diagnostics. ` : ""}${clashes}Review them below, then download.`);
     } catch (e) {
+      if (e.cancelled) return;
+      setPreview(null);
       setError(e.message || String(e));
     }
   };
 
+  const handleWeekOverride = (fileIndex, row, text) => {
+    const list = allSources();
+    const next = { ...list[fileIndex].weekOverrides };
+    if (text.trim()) next[row] = text.trim();
+    else delete next[row];
+    const updated = list.map((x, i) => (i === fileIndex ? { ...x, weekOverrides: next } : x));
+    setSources(updated);
+    if (list[fileIndex].id === activeSource) setWeekOverrides(next);
+    handleGenerate(updated);
+  };
+
+  const handleShowRow = (fileIndex, row) => {
+    // Rows of another file are shown after opening that file
+    const target = sourceList[fileIndex];
+    if (target && target.id !== activeSource) switchSource(target.id);
+    setFocusRow(row);
+  };
+
+  const handleReset = () => {
+    setSources([]);
+    setActiveSource(null);
+    setRows([]);
+    setHeaders([]);
+    setGuessMap(guessInitialMapping([]));
+    setSheets([]);
+    setSourceFile(null);
+    setSheetName("");
+    setHeaderRowOverride("");
+    setHeaderRow(null);
+    setMapped({});
+    setActiveProfile("");
+    setMappingMode("columns");
+    setTitleTemplate("{Course} {Component} {Section}");
+    setDateOrder("auto");
+    setDayLanguage("auto");
+    setLocationTemplate("{Location}");
+    setDescriptionTemplate("{Description}");
+    setError("");
+    setInfo("");
+    setChanges(null);
+    setPreview(null);
+    setDiagnostics([]);
+    setFocusRow(null);
+    setRowHistory([]);
+    setLastEdit(null);
+    setWeekOverrides({});
+    setAllDay(false);
+    setExams(null);
+    setExamMapped({});
+    setExamTitleTemplate("{Course} Exam");
+    setHolidayPreset("");
+    setExclusionText("");
+    setExclusionFile(null);
+    setPreviousExport(null);
+    setIncludeCancelled(true);
+    setPersonalCalendar(null);
+    setConflictChoices({});
+    setGroups({});
+    setDisabledSeries(new Set());
+    setDisabledOccurrences(new Set());
+    setAlarmText({ "*": "" });
+    setFileName("");
+    setResets((n) => n + 1);
+  };
+
+  const handleConflictChoice = (conflict, choice) => {
+    // Dropping a side switches its clashing classes off in the preview, so they can still be toggled back one by one
+    const sideKeys = (c) => conflict.clashes.map((x) => (c === "dropA" ? x.aKey : c === "dropB" ? x.bKey : null)).filter(Boolean);
+    setDisabledOccurrences((s) => {
+      const next = new Set(s);
+      for (const k of sideKeys(conflictChoices[conflict.id])) next.delete(k);
+      for (const k of sideKeys(choice)) next.add(k);
+      return next;
+    });
+    setConflictChoices((m) => ({ ...m, [conflict.id]: choice }));
+  };
+
+  const handleDownload = () => {
+    setError("");
+    try {
+      const { errorRows, removedCount } = preview;
+      const tagged = new Set(preview.conflicts
+        .filter((c) => conflictChoices[c.id] === "tag")
+        .flatMap((c) => c.clashes.flatMap((x) => [x.aKey, x.bKey]))
+        .filter(Boolean));
+      // Exporting sets alarms, fingerprints and SEQUENCE on each event, so it works on copies and the preview stays as built
+      const events = tagConflicts(applyPreviewToggles(preview.events, disabledSeries, disabledOccurrences), tagged).map((ev) => ({ ...ev }));
+      if (!events.length) throw new Error("Every event is switched off. Turn some back on to download.");
+
+      const alarms = Object.fromEntries(Object.entries(parsedAlarms).map(([k, p]) => [k, p.alarms]));
+      const exportOptions = { calendarName, timezone, timeMode, previous: previousExport?.events, includeCancelled, alarms };
+      if (splitByCourse) {
+        const { files, diff } = exportICSByCourse(events, exportOptions);
+        files.forEach((f) => assertValidICS(f.ics, `${f.name}.ics`));
+        setChanges(diff);
+        downloadFile(zipFiles(uniqueFileNames(files.map((f) => sanitizeFileName(f.name) || "course")).map((name, i) => [name + ".ics", files[i].ics])), sanitizeFileName((calendarName || "schedule")) + ".zip", "application/zip");
+      } else {
+        const { ics, diff } = exportICS(events, exportOptions);
+        assertValidICS(ics);
+        setChanges(diff);
+        downloadFile(ics, sanitizeFileName((calendarName || "schedule")) + ".ics");
+      }
+      const occurrenceCount = events.reduce((n, ev) => n + eventOccurrences(ev).length, 0);
+      const generated = exportMode === "recurring"
+        ? `Generated ${events.length} recurring events (${occurrenceCount} classes).`
+        : `Generated ${events.length} events.`;
+      const removed = removedCount ? ` Skipped ${removedCount} classes on no-class dates.` : "";
+      setInfo(`${generated}${removed} ${errorRows ? "Rows with issues: " + errorRows : "All rows parsed."}`);
+      setPreview(null);
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  };
+
+  const toggleIn = (setter) => (key) => setter((prev) => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-white to-gray-100 text-gray-900">
       <div className="max-w-5xl mx-auto px-4 py-10">
@@ -206,26 +978,84 @@ export default function WorkdayExcelToICS() {
           onDrop={onDrop}
           onClick={()=>inputRef.current?.click()}
         >
-          <input ref={inputRef} type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={onBrowse} />
-          <div className="text-lg">Drop your .xlsx or .csv here, or click to browse</div>
-          <div className="text-sm text-gray-500 mt-1">Recommended: export directly from Workday without editing</div>
+          <input ref={inputRef} type="file" accept=".xlsx,.xls,.csv" multiple className="hidden" onChange={onBrowse} />
+          <div className="text-lg">Drop your .xlsx or .csv files here, or click to browse</div>
+          <div className="text-sm text-gray-500 mt-1">Recommended: export directly from Workday without editing. Files added later (e.g. next term) join the same calendar</div>
           {fileName && <div className="mt-3 text-sm text-gray-700">Selected: <span className="font-medium">{fileName}</span></div>}
         </div>
 
         {info && <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-xl text-green-800">{info}</div>}
-        {error && <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-xl text-red-800">{error}</div>}
+        {task && <TaskProgress task={task} onCancel={handleCancelTask} />}
+        {error && <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-xl text-red-800 whitespace-pre-line">{error}</div>}
+        {changes && <ChangesPanel changes={changes} source={previousExport?.name} cancelled={includeCancelled} />}
+        {sources.length > 1 && sourceControls}
 
         {!!rows.length && (
           <>
+            {sheetControls}
             <h2 className="mt-8 text-xl font-semibold">Step 2 - Map your columns</h2>
             <p className="text-sm text-gray-600">We tried to guess based on header names. You can override below. Required fields are marked.</p>
+            {profileControls}
             {mappingControls}
-            <h2 className="mt-8 text-xl font-semibold">Preview (first 10 rows)</h2>
-            {previewTable}
+            <h2 className="mt-8 text-xl font-semibold">Exams</h2>
+            <p className="text-sm text-gray-600">Add Workday's final exam report to get your exams in the same calendar. Each row becomes a single event.</p>
+            {examControls}
+            <h2 className="mt-8 text-xl font-semibold">No-class dates</h2>
+            <p className="text-sm text-gray-600">Holidays and breaks are left out of the calendar.</p>
+            {exclusionControls}
+            <h2 className="mt-8 text-xl font-semibold">Reminders</h2>
+            <p className="text-sm text-gray-600">Alarms are added to every class, so you do not have to set them one by one in your calendar.</p>
+            {alarmControls}
+            <h2 className="mt-8 text-xl font-semibold">Courses and colors</h2>
+            <p className="text-sm text-gray-600">Untick anything you do not attend, such as waitlisted or discussion sections. Categories and colors show up in Apple and Google Calendar.</p>
+            <GroupsPanel groups={groups} onChange={setGroups} splitByCourse={splitByCourse} onSplitByCourse={setSplitByCourse} />
+            <h2 className="mt-8 text-xl font-semibold">Clash check</h2>
+            <p className="text-sm text-gray-600">Overlapping classes are always reported. Add your own calendar to check work shifts and other commitments too.</p>
+            <div className="mt-4 flex flex-col max-w-md">
+              <label className="text-sm text-gray-600 mb-1">Personal calendar (.ics, optional)</label>
+              <input key={resets} type="file" accept=".ics" className="border rounded-xl px-3 py-2 text-sm" onChange={(e)=>handlePersonalCalendar(e.target.files?.[0])} />
+              {personalCalendar && <p className="text-xs text-gray-500 mt-1">{personalCalendar.name}. All-day events are ignored.</p>}
+            </div>
+            <h2 className="mt-8 text-xl font-semibold">Rows</h2>
+            <p className="text-sm text-gray-600">Fix typos and missing values here instead of in Excel. Cells marked red would be rejected by the column they are mapped to.</p>
+            <RowEditor
+              key={activeSource}
+              rows={rows}
+              headers={headers}
+              problems={cellProblems}
+              columnLabels={columnLabels}
+              focusRow={focusRow}
+              onEdit={handleCellEdit}
+              onUndo={rowHistory.length ? handleUndo : null}
+              lastEdit={lastEdit}
+              matchingCount={matchingCount}
+              onApplyToAll={handleApplyToAll}
+              onDownloadCSV={handleDownloadCSV}
+            />
             <div className="mt-6 flex gap-3">
-              <button onClick={handleGenerate} className="px-4 py-2 rounded-xl bg-black text-white shadow hover:opacity-90">Generate .ics</button>
-              <button onClick={()=>{setRows([]); setHeaders([]); setMapped({}); setTitleTemplate("{Course} {Component} {Section}"); setError(""); setInfo(""); setFileName("");}} className="px-4 py-2 rounded-xl border">Reset</button>
+              <button onClick={()=>handleGenerate()} className="px-4 py-2 rounded-xl bg-black text-white shadow hover:opacity-90">Preview events</button>
+              <button onClick={handleReset} title="Clears the files and every setting except the calendar name, time zone and export format" className="px-4 py-2 rounded-xl border">Reset</button>
             </div>
+            {!!diagnostics.length && (
+              <DiagnosticsPanel diagnostics={diagnostics} files={sourceList} exams={exams} onShowRow={handleShowRow} />
+            )}
+            {!!preview?.conflicts.length && (
+              <ConflictsPanel conflicts={preview.conflicts} choices={conflictChoices} onChoose={handleConflictChoice} busySkipped={preview.busySkipped} />
+            )}
+            {preview && (
+              <PreviewPanel
+                key={preview.builtAt}
+                events={preview.events}
+                disabledSeries={disabledSeries}
+                disabledOccurrences={disabledOccurrences}
+                onToggleSeries={toggleIn(setDisabledSeries)}
+                onToggleOccurrence={toggleIn(setDisabledOccurrences)}
+                onDownload={handleDownload}
+                onCancel={()=>setPreview(null)}
+                weekOverrides={sourceList.map((x) => x.weekOverrides)}
+                onWeekOverride={handleWeekOverride}
+              />
+            )}
             <p className="text-xs text-gray-500 mt-3">Tip: If parsing fails for .xlsx, save your sheet as CSV and upload that.</p>
           </>
         )}
@@ -244,6 +1074,396 @@ function Footer() {
   );
 }
 
+function ChangesPanel({ changes, source, cancelled }) {
+  const { added, changed, removed, unchanged } = changes;
+  const list = (title, items) => !!items.length && (
+    <div className="mt-2">
+      <div className="font-medium">{title}</div>
+      <ul className="list-disc ml-5">
+        {items.slice(0, 20).map((x) => <li key={x.uid}>{x.summary} <span className="text-gray-500">{x.when}</span></li>)}
+        {items.length > 20 && <li className="text-gray-500">and {items.length - 20} more</li>}
+      </ul>
+    </div>
+  );
+  const describe = (ev) => ({ uid: ev.uid, summary: ev.summary, when: ev.dtStart.toLocaleString() });
+  return (
+    <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-xl text-blue-900 text-sm">
+      <div>Compared with {source || "the previous export"}: {added.length} added, {changed.length} changed, {removed.length} removed, {unchanged} unchanged.</div>
+      {list("Added", added.map(describe))}
+      {list("Changed", changed.map(describe))}
+      {list(cancelled ? "Removed (exported as cancelled)" : "Removed", removed.map((p) => ({ uid: p.uid, summary: p.summary, when: describeIcsDate(p.start) })))}
+    </div>
+  );
+}
+
+function DiagnosticsPanel({ diagnostics, files, exams, onShowRow }) {
+  const byRow = new Map();
+  for (const d of diagnostics) {
+    const id = `${d.fileIndex ?? d.source}:${d.row}`;
+    byRow.set(id, [...(byRow.get(id) || []), d]);
+  }
+  const errorCount = diagnostics.filter((d) => d.severity === "error").length;
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-semibold">Diagnostics</h2>
+      <p className="text-sm text-gray-600">{errorCount} errors and {diagnostics.length - errorCount} warnings. Rows with errors are left out; warnings are exported as they are.</p>
+      <div className="mt-3 max-h-96 overflow-auto border rounded-xl bg-white divide-y text-sm">
+        {[...byRow.entries()].map(([id, items]) => {
+          // Exam rows come from the exam report, which has no preview table
+          const { row, source, fileIndex } = items[0];
+          const table = source === "exam" ? exams || { rows: [], headers: [] } : files[fileIndex] || { rows: [], headers: [] };
+          const label = source === "exam" ? "Exam schedule row" : files.length > 1 ? `${table.name}, row` : "Row";
+          return (
+            <div key={id} className="p-3">
+              <div className="flex items-center gap-3">
+                <span className="font-medium">{label} {row + 1}</span>
+                {!source && <button onClick={()=>onShowRow(fileIndex, row)} className="text-xs underline text-blue-700">Show in preview</button>}
+              </div>
+              <ul className="mt-1">
+                {items.map((d, i) => (
+                  <li key={i} className={d.severity === "error" ? "text-red-700" : "text-amber-700"}>
+                    {d.severity === "error" ? "Error" : "Warning"}
+                    {d.parser && <> from <code>{d.parser}</code></>}
+                    {d.field && <> on {d.field}</>}
+                    {d.value && <> (<span className="font-mono">{JSON.stringify(d.value)}</span>)</>}
+                    : {d.message}
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-1 text-xs text-gray-500 break-words">
+                {table.headers.map((h) => `${h}: ${String(table.rows[row]?.[h] ?? "")}`).join(" · ")}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function GroupsPanel({ groups, onChange, splitByCourse, onSplitByCourse }) {
+  const update = (kind, value, patch) => onChange((g) => ({ ...g, [kind]: { ...g[kind], [value]: { ...g[kind][value], ...patch } } }));
+  const kinds = GROUP_KINDS.filter(([kind]) => Object.keys(groups[kind] || {}).length);
+  if (!kinds.length) return <p className="mt-4 text-sm text-gray-500">Map a Course, Section or Component column to filter and color by it.</p>;
+  return (
+    <div className="mt-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        {kinds.map(([kind, , label]) => (
+          <div key={kind} className="border rounded-xl bg-white">
+            <div className="px-3 py-2 border-b font-medium">{label}</div>
+            <div className="max-h-72 overflow-auto divide-y">
+              {Object.entries(groups[kind]).map(([value, g]) => (
+                <div key={value} className={`px-3 py-2 flex items-center gap-2 ${g.include ? "" : "opacity-50"}`}>
+                  <input type="checkbox" checked={g.include} onChange={(e)=>update(kind, value, { include: e.target.checked })} />
+                  <span className="w-3 h-3 rounded-full border shrink-0" style={{ background: g.color || "transparent" }} />
+                  <span className="truncate flex-1" title={value}>{value}</span>
+                  <input className="w-24 border rounded-lg px-2 py-0.5 text-xs" value={g.category} placeholder="Category" onChange={(e)=>update(kind, value, { category: e.target.value })} />
+                  <select className="border rounded-lg px-1 py-0.5 text-xs" value={g.color} onChange={(e)=>update(kind, value, { color: e.target.value })}>
+                    <option value="">No color</option>
+                    {COLOR_PALETTE.map((c)=> <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <label className="mt-3 flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={splitByCourse} onChange={(e)=>onSplitByCourse(e.target.checked)} />
+        Download one .ics file per course, in a .zip (import each into its own calendar)
+      </label>
+    </div>
+  );
+}
+
+function ConflictsPanel({ conflicts, choices, onChoose, busySkipped }) {
+  const day = (d) => d.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+  const length = (m) => (m >= 60 ? `${Math.floor(m / 60)} h ${m % 60 ? `${m % 60} min` : ""}` : `${m} min`).trim();
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-semibold">Conflicts</h2>
+      <p className="text-sm text-gray-600">
+        {conflicts.length} pairs of events overlap. Export them anyway, leave one side's clashing classes out, or tag both with a CONFLICT category.
+        {!!busySkipped && ` ${busySkipped} repeating events in your personal calendar use rules that are not expanded; only their first occurrence is checked.`}
+      </p>
+      <div className="mt-3 max-h-96 overflow-auto border rounded-xl bg-white divide-y text-sm">
+        {conflicts.map((c) => (
+          <div key={c.id} className="p-3">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="font-medium">{c.a.summary}</span>
+              <span className="text-gray-500">overlaps</span>
+              <span className="font-medium">{c.b.summary}{c.b.busy && <span className="text-gray-500 font-normal"> (personal calendar)</span>}</span>
+              <select className="ml-auto border rounded-lg px-2 py-1" value={choices[c.id] || "keep"} onChange={(e)=>onChoose(c, e.target.value)}>
+                <option value="keep">Export both</option>
+                <option value="dropA">Leave out {c.a.summary}</option>
+                {!c.b.busy && <option value="dropB">Leave out {c.b.summary}</option>}
+                <option value="tag">Tag as CONFLICT</option>
+              </select>
+            </div>
+            <ul className="mt-1 text-gray-700">
+              {c.clashes.slice(0, 20).map((x, i) => (
+                <li key={i}>
+                  {day(x.aStart)}: {time(x.aStart)}-{time(x.aEnd)} and {time(x.bStart)}-{time(x.bEnd)} <span className="text-red-700">({length(x.minutes)} overlap)</span>
+                </li>
+              ))}
+              {c.clashes.length > 20 && <li className="text-gray-500">and {c.clashes.length - 20} more</li>}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function PreviewPanel({ events, disabledSeries, disabledOccurrences, onToggleSeries, onToggleOccurrence, onDownload, onCancel, weekOverrides, onWeekOverride }) {
+  const occurrences = useMemo(() => events.flatMap((ev) =>
+    eventOccurrences(ev).map((o) => ({ ...o, ev, key: occurrenceKey(ev, o.start) }))
+  ).sort((a, b) => a.start - b.start), [events]);
+  const series = useMemo(() => {
+    const m = new Map();
+    for (const o of occurrences) {
+      // Series ids are "file:row:pattern", or "exam:row:pattern" for exams
+      const cur = m.get(o.ev.series) || { id: o.ev.series, fileIndex: o.ev.fileIndex, row: Number(o.ev.series.split(":").at(-2)), source: o.ev.source, summary: o.ev.summary, weeks: o.ev.weeks, count: 0 };
+      cur.count++;
+      m.set(o.ev.series, cur);
+    }
+    return [...m.values()];
+  }, [occurrences]);
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(occurrences[0]?.start || new Date()));
+  const [selected, setSelected] = useState(null);
+
+  const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+  // All-day events sit in a strip under the day names instead of on the hour grid
+  const inWeek = occurrences.filter((o) => o.start < weekEnd && o.end > weekStart);
+  const timed = occurrences.filter((o) => !o.ev.allDay);
+  const minutes = (d) => d.getHours() * 60 + d.getMinutes();
+  const firstHour = Math.min(8, ...timed.map((o) => Math.floor(minutes(o.start) / 60)));
+  const lastHour = Math.max(18, ...timed.map((o) => Math.ceil(minutes(o.end) / 60)));
+  const hasAllDay = inWeek.some((o) => o.ev.allDay);
+  const hourPx = 44;
+  const isOff = (o) => disabledSeries.has(o.ev.series) || disabledOccurrences.has(o.key);
+  const shiftWeek = (n) => setWeekStart(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7 * n));
+  const enabledCount = occurrences.filter((o) => !isOff(o)).length;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-semibold">Step 3 - Review and download</h2>
+      <div className="mt-3 flex items-center gap-3 text-sm">
+        <button onClick={()=>shiftWeek(-1)} className="px-3 py-1 rounded-xl border">‹ Previous</button>
+        <div className="font-medium">Week of {weekStart.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })}</div>
+        <button onClick={()=>shiftWeek(1)} className="px-3 py-1 rounded-xl border">Next ›</button>
+        {!!occurrences.length && <button onClick={()=>setWeekStart(startOfWeek(occurrences[0].start))} className="px-3 py-1 rounded-xl border">First class</button>}
+      </div>
+
+      <div className="mt-3 flex border rounded-xl overflow-hidden bg-white text-xs">
+        <div className="w-12 shrink-0 border-r">
+          <div className="h-8 border-b" />
+          {hasAllDay && <div className="border-b text-right pr-1 text-gray-400" style={{ minHeight: 20 }}>all day</div>}
+          {Array.from({ length: lastHour - firstHour }, (_, i) => (
+            <div key={i} className="text-right pr-1 text-gray-400 border-b" style={{ height: hourPx }}>{firstHour + i}:00</div>
+          ))}
+        </div>
+        {Array.from({ length: 7 }, (_, day) => {
+          const date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + day);
+          const next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+          const items = inWeek.filter((o) => !o.ev.allDay && o.start.getDate() === date.getDate() && o.start.getMonth() === date.getMonth());
+          const allDayItems = inWeek.filter((o) => o.ev.allDay && o.start < next && o.end > date);
+          const lanes = assignLanes(items);
+          return (
+            <div key={day} className="flex-1 min-w-0 border-r last:border-r-0">
+              <div className="h-8 border-b flex items-center justify-center font-medium">{date.toLocaleDateString(undefined, { weekday: "short", day: "numeric" })}</div>
+              {hasAllDay && (
+                <div className="border-b p-0.5 flex flex-col gap-0.5" style={{ minHeight: 20 }}>
+                  {allDayItems.map((o) => (
+                    <button
+                      key={o.key}
+                      onClick={()=>setSelected(o)}
+                      title={o.ev.summary}
+                      className={`rounded-md px-1 text-left truncate border ${isOff(o) ? "bg-gray-100 text-gray-400 line-through" : "bg-blue-100 text-blue-900 border-blue-300"} ${selected?.key === o.key ? "ring-2 ring-black" : ""}`}
+                    >
+                      {o.ev.summary}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="relative" style={{ height: (lastHour - firstHour) * hourPx }}>
+                {items.map((o, i) => (
+                  <button
+                    key={o.key}
+                    onClick={()=>setSelected(o)}
+                    title={o.ev.summary}
+                    className={`absolute rounded-md px-1 text-left overflow-hidden border ${isOff(o) ? "bg-gray-100 text-gray-400 line-through" : "bg-blue-100 text-blue-900 border-blue-300"} ${selected?.key === o.key ? "ring-2 ring-black" : ""}`}
+                    style={{
+                      top: (minutes(o.start) / 60 - firstHour) * hourPx,
+                      height: Math.max(16, ((o.end - o.start) / 3600000) * hourPx),
+                      left: `${(lanes.lane[i] / lanes.count) * 100}%`,
+                      width: `${100 / lanes.count}%`,
+                    }}
+                  >
+                    {o.ev.summary}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {selected && (
+        <div className="mt-3 p-3 border rounded-xl bg-white text-sm">
+          <div className="font-semibold">{selected.ev.summary}</div>
+          <div className="text-gray-600">
+            {selected.ev.allDay
+              ? `${selected.start.toLocaleDateString()}${selected.end - selected.start > 86400000 ? ` - ${new Date(selected.end - 86400000).toLocaleDateString()}` : ""}, all day`
+              : `${selected.start.toLocaleString()} - ${selected.end.toLocaleTimeString()}`}
+          </div>
+          {selected.ev.location && <div className="mt-1"><span className="text-gray-500">Location:</span> {selected.ev.location}</div>}
+          {selected.ev.description && <div className="mt-1 whitespace-pre-wrap"><span className="text-gray-500">Description:</span> {selected.ev.description}</div>}
+          {selected.ev.sources?.length > 1 && <div className="mt-1"><span className="text-gray-500">Found in:</span> {selected.ev.sources.join(", ")}</div>}
+          <div className="mt-2 flex gap-4">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={!disabledOccurrences.has(selected.key)} onChange={()=>onToggleOccurrence(selected.key)} />
+              Include this class
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={!disabledSeries.has(selected.ev.series)} onChange={()=>onToggleSeries(selected.ev.series)} />
+              Include the whole series
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-3 text-sm">
+        <div className="font-medium">Series</div>
+        <div className="mt-1 grid grid-cols-1 md:grid-cols-2 gap-1">
+          {series.map((x) => (
+            <div key={x.id} className="flex items-center gap-2">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={!disabledSeries.has(x.id)} onChange={()=>onToggleSeries(x.id)} />
+                {x.summary} <span className="text-gray-500">({x.count} classes)</span>
+              </label>
+              {!x.source && <input
+                key={weekOverrides[x.fileIndex]?.[x.row] || ""}
+                list="week-patterns"
+                title={`Weeks for every meeting pattern of row ${x.row + 1}`}
+                className="ml-auto w-36 border rounded-lg px-2 py-0.5 text-xs"
+                defaultValue={weekOverrides[x.fileIndex]?.[x.row] || ""}
+                placeholder={x.weeks || "Every week"}
+                onBlur={(e)=>{ if (e.target.value.trim() !== (weekOverrides[x.fileIndex]?.[x.row] || "")) onWeekOverride(x.fileIndex, x.row, e.target.value); }}
+                onKeyDown={(e)=>{ if (e.key === "Enter") e.target.blur(); }}
+              />}
+            </div>
+          ))}
+        </div>
+        <datalist id="week-patterns">
+          {["Every week", "Odd weeks", "Even weeks", "Weeks 1-6", "Weeks 7-13"].map((w) => <option key={w} value={w} />)}
+        </datalist>
+        <p className="mt-1 text-xs text-gray-500">Wrong weeks? Type a pattern next to a series (e.g. Even weeks or Weeks 2, 4, 6) to override what the export says for that row.</p>
+      </div>
+
+      <div className="mt-4 flex gap-3 items-center">
+        <button onClick={onDownload} className="px-4 py-2 rounded-xl bg-black text-white shadow hover:opacity-90">Download .ics</button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-xl border">Back</button>
+        <span className="text-sm text-gray-600">{enabledCount} of {occurrences.length} classes selected</span>
+      </div>
+    </div>
+  );
+}
+
+const ROWS_PER_PAGE = 25;
+
+function RowEditor({ rows, headers, problems, columnLabels, focusRow, onEdit, onUndo, lastEdit, matchingCount, onApplyToAll, onDownloadCSV }) {
+  const [page, setPage] = useState(0);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const scrollTo = useRef(null);
+
+  const hasProblem = (i) => Object.keys(problems[i] || {}).length > 0;
+  const problemCount = rows.filter((_, i) => hasProblem(i)).length;
+  const shown = rows.map((_, i) => i).filter((i) => !problemsOnly || hasProblem(i));
+  const pages = Math.max(1, Math.ceil(shown.length / ROWS_PER_PAGE));
+  const current = Math.min(page, pages - 1);
+  const pageRows = shown.slice(current * ROWS_PER_PAGE, (current + 1) * ROWS_PER_PAGE);
+
+  // A diagnostic's "Show" opens the page holding that row, then scrolls to it once it is rendered
+  React.useEffect(() => {
+    if (focusRow == null) return;
+    setProblemsOnly(false);
+    setPage(Math.floor(focusRow / ROWS_PER_PAGE));
+    scrollTo.current = focusRow;
+  }, [focusRow]);
+  React.useEffect(() => {
+    if (scrollTo.current == null) return;
+    document.getElementById(`preview-row-${scrollTo.current}`)?.scrollIntoView({ block: "center", behavior: "smooth" });
+    scrollTo.current = null;
+  });
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <button onClick={()=>setPage(current - 1)} disabled={!current} className="px-3 py-1 rounded-xl border disabled:opacity-40">‹ Previous</button>
+        <span>Page {current + 1} of {pages}</span>
+        <button onClick={()=>setPage(current + 1)} disabled={current >= pages - 1} className="px-3 py-1 rounded-xl border disabled:opacity-40">Next ›</button>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={problemsOnly} onChange={(e)=>{ setProblemsOnly(e.target.checked); setPage(0); }} />
+          Only rows with problems ({problemCount})
+        </label>
+        <button onClick={onUndo} disabled={!onUndo} className="ml-auto px-3 py-1 rounded-xl border disabled:opacity-40">Undo</button>
+        <button onClick={onDownloadCSV} className="px-3 py-1 rounded-xl border">Download corrected CSV</button>
+      </div>
+      {lastEdit && matchingCount > 0 && (
+        <div className="mt-2 p-2 border rounded-xl bg-blue-50 text-sm flex items-center gap-3">
+          <span>
+            {matchingCount} more {matchingCount === 1 ? "cell" : "cells"} in {lastEdit.header} still {matchingCount === 1 ? "says" : "say"} <span className="font-mono">{JSON.stringify(lastEdit.from)}</span>.
+          </span>
+          <button onClick={onApplyToAll} className="px-3 py-1 rounded-xl border bg-white">Change all to <span className="font-mono">{JSON.stringify(lastEdit.to)}</span></button>
+        </div>
+      )}
+      <div className="mt-2 overflow-auto max-h-[32rem] border rounded-xl">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0 z-10">
+            <tr>
+              <th className="text-left px-3 py-2 font-semibold border-b text-gray-400">#</th>
+              {headers.map((h) => (
+                <th key={h} className="text-left px-3 py-2 font-semibold border-b">
+                  {h}
+                  {columnLabels[h] && <div className="text-xs font-normal text-gray-500">{columnLabels[h]}</div>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((i) => (
+              <tr key={i} id={`preview-row-${i}`} className={i === focusRow ? "bg-yellow-100" : "odd:bg-white even:bg-gray-50"}>
+                <td className="px-3 py-1 border-b align-top text-gray-400">{i + 1}</td>
+                {headers.map((h) => {
+                  const value = String(rows[i][h] ?? "");
+                  const problem = problems[i]?.[h];
+                  return (
+                    <td key={h} className="px-1 py-1 border-b align-top">
+                      <input
+                        key={value}
+                        defaultValue={value}
+                        title={problem || ""}
+                        className={`w-full min-w-[6rem] rounded-md px-2 py-1 border ${problem ? "bg-red-50 border-red-300 text-red-900" : "bg-transparent border-transparent hover:border-gray-300"}`}
+                        onBlur={(e)=>onEdit(i, h, e.target.value)}
+                        onKeyDown={(e)=>{
+                          if (e.key === "Enter") e.target.blur();
+                          if (e.key === "Escape") { e.target.value = value; e.target.blur(); }
+                        }}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function renderSelect(label, key, headers, mapped, setMapped, required=false, hint="") {
   return (
     <div className="flex flex-col">
@@ -271,300 +1491,174 @@ function renderText(label, value, onChange, hint="") {
   );
 }
 
-function labelForKey(k){
-  const map = {
-    titleField: "Title field",
-    courseField: "Course",
-    componentField: "Component",
-    sectionField: "Section",
-    startDateField: "Start date",
-    endDateField: "End date",
-    startTimeField: "Start time",
-    endTimeField: "End time",
-    daysField: "Days pattern",
-    locationField: "Location",
-    descField: "Description",
-  };
-  return map[k] || k;
+function applyPreviewToggles(events, disabledSeries, disabledOccurrences) {
+  // Drops switched-off events. A recurring event losing single classes gets EXDATEs, and a new DTSTART if its first class is gone
+  const out = [];
+  for (const ev of events) {
+    if (disabledSeries.has(ev.series)) continue;
+    const occ = eventOccurrences(ev);
+    const off = occ.filter((o) => disabledOccurrences.has(occurrenceKey(ev, o.start)));
+    if (!off.length) { out.push(ev); continue; }
+    const kept = occ.filter((o) => !off.includes(o));
+    if (!(ev.rrule || ev.rdates) || !kept.length) continue;
+    const first = kept[0];
+    out.push({
+      ...ev,
+      dtStart: first.start,
+      dtEnd: first.end,
+      ...(ev.rdates && { rdates: ev.rdates.filter((d) => d > first.start) }),
+      exdates: [...(ev.exdates || []), ...off.map((o) => o.start)].filter((d) => d > first.start).sort((a, b) => a - b),
+    });
+  }
+  return out;
 }
 
-function guessInitialMapping(headers) {
-  const h = headers.map((s)=>s.toLowerCase());
-  const pick = (...candidates) => {
-    for (const c of candidates) {
-      const i = h.findIndex((x)=> x.includes(c));
-      if (i !== -1) return headers[i];
-    }
-    return "";
-  };
-
-  const daysHeader = pick("days", "meeting pattern", "meets", "days of week");
-  const startDateHeader = pick("start date", "from date", "first day");
-  const endDateHeader = pick("end date", "to date", "last day");
-  const startTimeHeader = pick("start time", "time start", "from time", "begin time");
-  const endTimeHeader = pick("end time", "time end", "to time", "finish time");
-  const locationHeader = pick("location", "room", "building");
-  const titleHeader = pick("title");
-  const courseHeader = pick("course", "subject");
-  const sectionHeader = pick("section");
-  const componentHeader = pick("component", "type");
-
-  return {
-    titleField: titleHeader,
-    courseField: courseHeader,
-    componentField: componentHeader,
-    sectionField: sectionHeader,
-    startDateField: startDateHeader,
-    endDateField: endDateHeader,
-    startTimeField: startTimeHeader,
-    endTimeField: endTimeHeader,
-    daysField: daysHeader,
-    locationField: locationHeader,
-  };
+function startOfWeek(d) {
+  // Monday of the week containing d
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
 }
 
-function parseCSV(text) {
-  // Simple CSV parser that handles commas, quotes, and newlines
-  const rows = [];
-  let i = 0; let cur = []; let field = ""; let inQuotes = false;
-  const pushField = () => { cur.push(field); field = ""; };
-  const pushRow = () => { rows.push(cur); cur = []; };
-
-  while (i < text.length) {
-    const ch = text[i];
-    if (inQuotes) {
-      if (ch === '"') {
-        if (text[i+1] === '"') { field += '"'; i++; } else { inQuotes = false; }
-      } else { field += ch; }
-    } else {
-      if (ch === '"') { inQuotes = true; }
-      else if (ch === ',') { pushField(); }
-      else if (ch === '\n') { pushField(); pushRow(); }
-      else if (ch === '\r') { /* ignore */ }
-      else { field += ch; }
-    }
-    i++;
-  }
-  // last field
-  pushField();
-  // if last row not pushed
-  if (cur.length) pushRow();
-
-  // First row as header
-  const hdrs = rows.shift() || [];
-  const data = rows.filter(r => r.length && r.some(x => String(x).trim() !== ""))
-                   .map(r => Object.fromEntries(hdrs.map((h, idx) => [h, r[idx] ?? ""])));
-  return { data, hdrs };
+function assignLanes(items) {
+  // Side-by-side columns for overlapping blocks within one day
+  const lane = [];
+  const ends = [];
+  items.forEach((o, i) => {
+    let l = ends.findIndex((end) => end <= o.start);
+    if (l === -1) { l = ends.length; ends.push(o.end); } else ends[l] = o.end;
+    lane[i] = l;
+  });
+  return { lane, count: Math.max(1, ends.length) };
 }
 
-function parseDate(val) {
-  if (!val && val !== 0) return null;
-  if (val instanceof Date) return new Date(val.getFullYear(), val.getMonth(), val.getDate());
-  const s = String(val).trim();
-  if (!s) return null;
-  // Try ISO or locale-like
-  const try1 = new Date(s);
-  if (!isNaN(try1)) return new Date(try1.getFullYear(), try1.getMonth(), try1.getDate());
-  // Try numeric like 20250904
-  const m = s.match(/^(\d{4})[-\/]?(\d{2})[-\/]?(\d{2})$/);
-  if (m) {
-    const [_, y, mo, d] = m;
-    return new Date(Number(y), Number(mo)-1, Number(d));
-  }
-  return null;
-}
+const TIME_ZONES = listTimeZones();
 
-function parseTime(val) {
-  if (!val && val !== 0) return null;
-  let s = String(val).trim();
-  if (!s) return null;
-  // Excel sometimes stores times as HH:MM:SS, or 8:00 AM, or 8 AM, or 20:00
-  s = s.toUpperCase();
-  // Handle 8 AM format
-  let m = s.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(AM|PM)?$/);
-  if (m) {
-    let h = Number(m[1]);
-    const min = Number(m[2] || 0);
-    const sec = Number(m[3] || 0);
-    const ampm = m[4];
-    if (ampm === "AM") { if (h === 12) h = 0; }
-    else if (ampm === "PM") { if (h < 12) h += 12; }
-    return { h, min, sec };
-  }
-  // 20:30 or 20:30:00
-  m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
-  if (m) {
-    return { h: Number(m[1]), min: Number(m[2]), sec: Number(m[3] || 0) };
-  }
-  return null;
-}
+// Rows of every file reduced to { course, section, component }, read back through this mapping by collectGroups
+const GROUP_VALUE_FIELDS = Object.fromEntries(GROUP_KINDS.map(([kind, field]) => [field, kind]));
 
-function parseDays(val) {
-  const set = new Set();
-  if (!val && val !== 0) return set;
-  let s = String(val).trim();
-  if (!s) return set;
-  s = s.toUpperCase();
-  // Normalize common words to tokens
-  const rep = [
-    [/THURSDAYS?/, "R"], [/THURS?\b/, "R"], [/THU\b/, "R"], [/\bTH\b/, "R"],
-    [/TUESDAYS?/, "TU"], [/TUES?\b/, "TU"], [/\bTUE\b/, "TU"], [/\bTU\b/, "TU"],
-    [/MONDAYS?/, "MO"], [/\bMON\b/, "MO"], [/\bMO\b/, "MO"],
-    [/WEDNESDAYS?/, "WE"], [/\bWED\b/, "WE"], [/\bWE\b/, "WE"],
-    [/FRIDAYS?/, "FR"], [/\bFRI\b/, "FR"], [/\bFR\b/, "FR"],
-    [/SATURDAYS?/, "SA"], [/\bSAT\b/, "SA"], [/\bSA\b/, "SA"],
-    [/SUNDAYS?/, "SU"], [/\bSUN\b/, "SU"], [/\bSU\b/, "SU"],
-  ];
-  for (const [pattern, token] of rep) s = s.replace(pattern, token);
-  // Replace separators with space
-  s = s.replace(/[,&/\\|]+/g, " ").replace(/\s+/g, " ").trim();
-  const tokens = new Set();
-  if (!s.includes(" ")) {
-    // Possibly concatenated like MWF or MTWRF
-    for (let i=0; i<s.length; i++) {
-      const c = s[i];
-      if (c === 'T') {
-        // could be TU or R will be separate
-        if (s.slice(i, i+2) === 'TU') { tokens.add('TU'); i++; continue; }
-      }
-      if (c === 'R') { tokens.add('R'); continue; }
-      if (c === 'M') { tokens.add('MO'); continue; }
-      if (c === 'W') { tokens.add('WE'); continue; }
-      if (c === 'F') { tokens.add('FR'); continue; }
-      if (c === 'S') {
-        // try SA or SU
-        if (s.slice(i, i+2) === 'SA') { tokens.add('SA'); i++; continue; }
-        if (s.slice(i, i+2) === 'SU') { tokens.add('SU'); i++; continue; }
-      }
-    }
-  } else {
-    s.split(" ").forEach(tok => {
-      tok = tok.trim(); if (!tok) return;
-      if (tok === 'M') tok = 'MO';
-      if (tok === 'T') tok = 'TU';
-      if (tok === 'W') tok = 'WE';
-      if (tok === 'TH') tok = 'R';
-      if (tok === 'F') tok = 'FR';
-      if (tok === 'R') tok = 'R';
-      tokens.add(tok);
-    });
-  }
-  for (const t of tokens) {
-    switch (t) {
-      case 'MO': set.add(1); break;
-      case 'TU': set.add(2); break;
-      case 'WE': set.add(3); break;
-      case 'R': set.add(4); break; // Thursday
-      case 'FR': set.add(5); break;
-      case 'SA': set.add(6); break;
-      case 'SU': set.add(0); break;
-    }
+// Languages parseDays knows, by DAY_LANGUAGES code, named in their own language
+const DAY_LANGUAGE_LABELS = { en: "English", fr: "Français", es: "Español", de: "Deutsch" };
+
+const PROFILE_STORAGE_KEY = "workday2ics.profiles";
+
+function loadStoredProfiles() {
+  // Profiles that no longer validate are dropped rather than breaking the page
+  try {
+    const list = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || "[]");
+    if (!Array.isArray(list)) return [];
+    return list.flatMap((p) => { try { return [normalizeProfile(p)]; } catch { return []; } });
+  } catch {
+    return [];
   }
-  return set;
 }
 
-function expandOccurrences(startDate, endDate, daySet) {
-  const out = [];
-  if (!startDate || !endDate) return out;
-  const d = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-  while (d <= end) {
-    if (daySet.has(d.getDay())) out.push(new Date(d));
-    d.setDate(d.getDate() + 1);
+function storeProfiles(list) {
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    // Private browsing or storage full: profiles last for this session only
   }
-  return out;
 }
 
-function combineDateTime(date, t) {
-  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate(), t.h, t.min, t.sec || 0);
-  return d;
-}
+let worker = null; // started on first use and kept for later tasks; cancelling one stops it
+let taskIds = 0;
 
-function icsDateTimeLocal(dt) {
-  const pad = (n) => String(n).padStart(2, "0");
-  return (
-    dt.getFullYear().toString() +
-    pad(dt.getMonth() + 1) +
-    pad(dt.getDate()) +
-    "T" +
-    pad(dt.getHours()) +
-    pad(dt.getMinutes()) +
-    pad(dt.getSeconds())
-  );
+function startTask(task, onMessage) {
+  // Runs a worker.js task on the worker where Web Workers exist, and in place otherwise, so both give the same result.
+  // -> { promise, cancel }. Stopping the worker is the only way to interrupt a build that is already running
+  if (typeof Worker === "undefined") return { promise: runTask(task, onMessage), cancel: () => {} };
+  if (!worker) worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+  const id = ++taskIds;
+  const current = worker;
+  let cancel = () => {};
+  const promise = new Promise((resolve, reject) => {
+    const detach = () => {
+      current.removeEventListener("message", listen);
+      current.removeEventListener("error", failed);
+    };
+    const stop = (e) => { detach(); reject(e); };
+    const listen = ({ data }) => {
+      if (data.id !== id) return;
+      if (data.type === "done") { detach(); resolve(data.result); }
+      else if (data.type === "error") stop(new Error(data.message));
+      else onMessage(data);
+    };
+    const failed = (e) => {
+      // A worker that cannot start (or crashes) is dropped, so the next task gets a fresh one
+      if (worker === current) worker = null;
+      current.terminate();
+      stop(new Error(e.message || "The background task failed"));
+    };
+    cancel = () => {
+      if (worker === current) worker = null;
+      current.terminate();
+      stop(Object.assign(new Error("Cancelled"), { cancelled: true }));
+    };
+    current.addEventListener("message", listen);
+    current.addEventListener("error", failed);
+    current.postMessage({ ...task, id });
+  });
+  return { promise, cancel };
 }
 
-function icsDateTimeUTC(dt) {
-  const pad = (n) => String(n).padStart(2, "0");
+function TaskProgress({ task, onCancel }) {
+  // Stage, a bar once the total is known, and the first rows of a file while it is still arriving
+  const percent = task.total ? Math.round((task.done / task.total) * 100) : 0;
   return (
-    dt.getUTCFullYear().toString() +
-    pad(dt.getUTCMonth() + 1) +
-    pad(dt.getUTCDate()) +
-    "T" +
-    pad(dt.getUTCHours()) +
-    pad(dt.getUTCMinutes()) +
-    pad(dt.getUTCSeconds()) +
-    "Z"
+    <div className="mt-4 p-3 border rounded-xl bg-gray-50 text-sm">
+      <div className="flex items-center gap-3">
+        <span className="font-medium">{task.stage}…</span>
+        {task.total > 0 && <span className="text-gray-500">{task.done.toLocaleString()} of {task.total.toLocaleString()}</span>}
+        <button onClick={onCancel} className="ml-auto px-3 py-1 rounded-xl border bg-white">Cancel</button>
+      </div>
+      <div className="mt-2 h-2 rounded-full bg-gray-200 overflow-hidden">
+        <div className={`h-full bg-black ${task.total ? "" : "w-full animate-pulse opacity-30"}`} style={task.total ? { width: `${percent}%` } : undefined} />
+      </div>
+      {task.sample.length > 0 && (
+        <div className="mt-3 overflow-auto max-h-60 border rounded-xl bg-white">
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-50">
+              <tr>{task.headers.map((h) => <th key={h} className="text-left px-2 py-1 font-semibold border-b">{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              {task.sample.map((r, i) => (
+                <tr key={i} className="odd:bg-white even:bg-gray-50">
+                  {task.headers.map((h) => <td key={h} className="px-2 py-1 border-b whitespace-nowrap">{String(r[h] ?? "")}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
   );
 }
 
-function icsEscape(s) {
-  return (s || "")
-    .replace(/\\/g, "\\\\")
-    .replace(/\n/g, "\\n")
-    .replace(/[,;]/g, (m) => `\\${m}`);
-}
-
-function foldLines(text) {
-  // 75 octets per RFC 5545. This naive wrapper works for ASCII
-  const lines = text.split("\n");
-  const out = [];
-  for (const ln of lines) {
-    if (ln.length <= 75) { out.push(ln); continue; }
-    let i = 0; const L = ln.length;
-    while (i < L) {
-      const chunk = ln.slice(i, i+75);
-      out.push(i === 0 ? chunk : " " + chunk);
-      i += 75;
-    }
-  }
-  return out.join("\n");
-}
-
-function buildICS(events, calName, tzHint) {
-  const now = new Date();
-  let ics = "BEGIN:VCALENDAR\n" +
-            "VERSION:2.0\n" +
-            "CALSCALE:GREGORIAN\n" +
-            "PRODID:-//GistTools//Workday Excel to iCal//EN\n" +
-            (calName ? `X-WR-CALNAME:${icsEscape(calName)}\n` : "") +
-            (tzHint ? `X-WR-TIMEZONE:${icsEscape(tzHint)}\n` : "");
-
-  for (const ev of events) {
-    const uid = `${Math.random().toString(36).slice(2)}@gisttools.local`;
-    ics += foldLines(
-      "BEGIN:VEVENT\n" +
-      `UID:${uid}\n` +
-      `DTSTAMP:${icsDateTimeUTC(now)}\n` +
-      `DTSTART:${icsDateTimeLocal(ev.dtStart)}\n` +
-      `DTEND:${icsDateTimeLocal(ev.dtEnd)}\n` +
-      (ev.summary ? `SUMMARY:${icsEscape(ev.summary)}\n` : "") +
-      (ev.location ? `LOCATION:${icsEscape(ev.location)}\n` : "") +
-      (ev.description ? `DESCRIPTION:${icsEscape(ev.description)}\n` : "") +
-      "END:VEVENT"
-    ) + "\n";
-  }
-  ics += "END:VCALENDAR\n";
-  return ics;
-}
-
-function downloadText(text, name) {
-  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+function downloadFile(data, name, type = "text/calendar;charset=utf-8") {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url; a.download = name; a.click();
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+function zipFiles(files) {
+  // [name, text] pairs -> .zip bytes, using the zip writer that ships with SheetJS
+  const zip = XLSX.CFB.utils.cfb_new();
+  for (const [name, text] of files) XLSX.CFB.utils.cfb_add(zip, name, new TextEncoder().encode(text));
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array", compression: true });
+}
+
 function sanitizeFileName(s) {
   return s.replace(/[^a-z0-9-_]+/gi, "-").replace(/-+/g, "-").replace(/^-|-$/g, "").toLowerCase();
 }
+
+function uniqueFileNames(names) {
+  // Course names that sanitize alike ("CHEM 110" and "Chem-110") would overwrite each other in a zip: later ones get -2, -3, ...
+  const used = new Set();
+  return names.map((name) => {
+    let out = name;
+    for (let n = 2; used.has(out); n++) out = `${name}-${n}`;
+    used.add(out);
+    return out;
+  });
+}
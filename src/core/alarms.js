@@ -0,0 +1,28 @@
+/**
+ * Reminder settings: "15m, 1d audio" style text -> VALARM specs, chosen per
+ * event by its component (Lecture, Lab, Exam, ...).
+ */
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 };
+
+export function parseAlarms(text) {
+  // { alarms: [{ minutes, action }], invalid } for a comma-separated list; "none" is an explicit empty list
+  const alarms = [];
+  const invalid = [];
+  for (const part of String(text ?? "").split(/[,;\n]/).map((x) => x.trim()).filter(Boolean)) {
+    if (/^(?:none|off|no)$/i.test(part)) continue;
+    const m = part.match(/^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?)(?:\s+before)?(?:\s+(display|popup|audio|sound))?$/i);
+    if (!m) { invalid.push(part); continue; }
+    const minutes = Math.round(Number(m[1]) * UNIT_MINUTES[m[2][0].toLowerCase()]);
+    alarms.push({ minutes, action: /audio|sound/i.test(m[3] || "") ? "AUDIO" : "DISPLAY" });
+  }
+  return { alarms, invalid };
+}
+
+export function alarmsFor(component, alarms) {
+  // alarms maps component names (any case) to lists; "*" covers rows without a component or without their own entry
+  if (!alarms) return [];
+  const key = String(component ?? "").trim().toLowerCase();
+  const own = key && Object.keys(alarms).find((k) => k !== "*" && k.trim().toLowerCase() === key);
+  return (own ? alarms[own] : alarms["*"]) || [];
+}
@@ -0,0 +1,117 @@
+/**
+ * Clash checks: overlapping classes between series of the schedule, and between
+ * classes and busy times from a personal calendar (work shifts and the like).
+ */
+import { eventOccurrences, expandOccurrences, occurrenceKey } from "./convert.js";
+import { icsProp, icsUnescape, parseICSEvents } from "./ics.js";
+import { isValidTimeZone, utcToZoned, zonedToUTC } from "./timezone.js";
+
+function icsWallTime(prop, zone) {
+  // DATE-TIME value as wall-clock time in zone: UTC and other-TZID values are converted, floating ones kept
+  const m = String(prop.value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?(Z?)$/);
+  if (!m) return null;
+  const local = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+  const tzid = (prop.params.match(/;TZID=("?)([^;:"]+)\1/i) || [])[2];
+  if (!zone || !isValidTimeZone(zone)) return local;
+  if (m[7]) return utcToZoned(zonedToUTC(local, "UTC"), zone);
+  if (tzid && tzid !== zone && isValidTimeZone(tzid)) return utcToZoned(zonedToUTC(local, tzid), zone);
+  return local;
+}
+
+function parseDuration(value) {
+  // RFC 5545 DURATION in minutes, e.g. PT1H30M or P1D
+  const m = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, sign, w, d, h, min, sec] = m.map((x, i) => (i > 1 ? Number(x || 0) : x));
+  return (sign === "-" ? -1 : 1) * (w * 10080 + d * 1440 + h * 60 + min + sec / 60);
+}
+
+function wallMinutes(d) {
+  // Minutes on the wall clock, unaffected by DST in the runtime's own zone
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()) / 60000;
+}
+
+function addMinutes(d, minutes) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes() + minutes, d.getSeconds());
+}
+
+function expandBusyRule(start, rule, zone, horizon) {
+  // DAILY and WEEKLY rules cover shift calendars; anything else returns null and counts as a single event
+  const r = Object.fromEntries(rule.split(";").map((x) => x.split("=")).map(([k, v]) => [k.toUpperCase(), v]));
+  if (r.FREQ !== "DAILY" && r.FREQ !== "WEEKLY") return null;
+  if (r.BYMONTH || r.BYMONTHDAY || r.BYSETPOS || /\d/.test(r.BYDAY || "")) return null;
+  const interval = Math.max(1, Number(r.INTERVAL) || 1);
+  const until = r.UNTIL ? icsWallTime({ params: "", value: r.UNTIL }, zone) : null;
+  if (until && !r.UNTIL.includes("T")) until.setHours(23, 59, 59);
+  const end = until && until < horizon ? until : horizon;
+  const days = r.BYDAY ? new Set(r.BYDAY.split(",").map((d) => ["SU", "MO", "TU", "WE", "TH", "FR", "SA"].indexOf(d))) : new Set([start.getDay()]);
+  let dates = r.FREQ === "WEEKLY"
+    ? expandOccurrences(start, end, days, interval > 1 ? { interval, start: 1 } : null)
+    : expandOccurrences(start, end, new Set([0, 1, 2, 3, 4, 5, 6])).filter((d, i) => i % interval === 0);
+  dates = dates.map((d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), start.getHours(), start.getMinutes(), start.getSeconds()))
+    .filter((d) => d >= start && (!until || d <= until));
+  return r.COUNT ? dates.slice(0, Number(r.COUNT)) : dates;
+}
+
+export function parseBusyEvents(text, zone, horizon) {
+  // Timed VEVENTs of a personal calendar as { uid, summary, start, end } occurrences up to horizon.
+  // All-day and cancelled events never clash; rules that cannot be expanded are counted in skipped
+  const events = [];
+  let skipped = 0;
+  parseICSEvents(text).forEach((props, i) => {
+    const dtStart = icsProp(props, "DTSTART");
+    if (!dtStart || !dtStart.value.includes("T") || icsProp(props, "STATUS")?.value === "CANCELLED") return;
+    const start = icsWallTime(dtStart, zone);
+    if (!start) return;
+    const dtEnd = icsProp(props, "DTEND");
+    const end = dtEnd ? icsWallTime(dtEnd, zone) : addMinutes(start, parseDuration(icsProp(props, "DURATION")?.value));
+    const length = wallMinutes(end || start) - wallMinutes(start);
+    if (length <= 0) return;
+    const rule = icsProp(props, "RRULE")?.value;
+    let starts = rule ? expandBusyRule(start, rule, zone, horizon || new Date(start.getFullYear() + 1, start.getMonth(), start.getDate())) : [start];
+    if (!starts) { skipped++; starts = [start]; }
+    const exdates = new Set(props.filter((p) => p.name === "EXDATE")
+      .flatMap((p) => p.value.split(",").map((value) => icsWallTime({ params: p.params, value }, zone)?.getTime())));
+    const summary = icsUnescape(icsProp(props, "SUMMARY")?.value) || "Busy";
+    const uid = icsProp(props, "UID")?.value || `busy-${i}`;
+    for (const s of starts) if (!exdates.has(s.getTime())) events.push({ uid, summary, start: s, end: addMinutes(s, length) });
+  });
+  return { events, skipped };
+}
+
+export function findConflicts(events, busy = []) {
+  // Overlapping occurrences, grouped by the pair of series (or series and busy event) involved.
+  // Each clash keeps both occurrence keys so the app can switch one side off. All-day events never clash
+  const items = [
+    ...events.flatMap((ev, order) => (ev.allDay ? [] : eventOccurrences(ev)).map((o) => ({ ...o, order, id: ev.series, summary: ev.summary, key: occurrenceKey(ev, o.start) }))),
+    ...busy.map((b) => ({ start: b.start, end: b.end, order: Infinity, id: `busy:${b.uid}`, summary: b.summary, busy: true })),
+  ].sort((a, b) => a.start - b.start);
+
+  const groups = new Map();
+  let active = [];
+  for (const cur of items) {
+    active = active.filter((x) => x.end > cur.start);
+    for (const other of active) {
+      if (other.id === cur.id || (other.busy && cur.busy)) continue;
+      const [a, b] = other.order <= cur.order ? [other, cur] : [cur, other];
+      const id = `${a.id}|${b.id}`;
+      if (!groups.has(id)) {
+        groups.set(id, { id, a: { series: a.id, summary: a.summary }, b: { series: b.busy ? null : b.id, summary: b.summary, busy: !!b.busy }, clashes: [] });
+      }
+      const start = a.start > b.start ? a.start : b.start;
+      const end = a.end < b.end ? a.end : b.end;
+      groups.get(id).clashes.push({ aKey: a.key, bKey: b.key || null, aStart: a.start, aEnd: a.end, bStart: b.start, bEnd: b.end, minutes: wallMinutes(end) - wallMinutes(start) });
+    }
+    active.push(cur);
+  }
+  return [...groups.values()];
+}
+
+export function tagConflicts(events, keys, category = "CONFLICT") {
+  // A recurring event is tagged as a whole, since one class of a series cannot carry its own category
+  return events.map((ev) =>
+    eventOccurrences(ev).some((o) => keys.has(occurrenceKey(ev, o.start)))
+      ? { ...ev, categories: [...new Set([...(ev.categories || []), category])] }
+      : ev
+  );
+}
@@ -0,0 +1,535 @@
+/**
+ * Spreadsheet rows -> events -> .ics, with no React or DOM involved.
+ * The browser app and the workday2ics command line tool both run through here.
+ */
+import { alarmsFor } from "./alarms.js";
+import { isExcluded, holidayExclusions } from "./exclusions.js";
+import { groupSettingsFor, rowGroups } from "./groups.js";
+import { assignUids, buildICS, diffExport, eventFingerprint, icsDateTimeLocal } from "./ics.js";
+import {
+  describeWeeks,
+  detectDateOrder,
+  detectDayLanguage,
+  isTBA,
+  meetingPatternDays,
+  parseDate,
+  parseDays,
+  parseMeetingPatterns,
+  parseTime,
+  parseWeeks,
+  rejectionReason,
+  splitRange,
+  splitWeeks,
+  timeOfDay,
+} from "./parse.js";
+import { TEMPLATE_FIELDS, compileTemplate, renderTemplate } from "./template.js";
+import { isValidTimeZone } from "./timezone.js";
+
+export function labelForKey(k){
+  const map = {
+    titleField: "Title field",
+    courseField: "Course",
+    componentField: "Component",
+    sectionField: "Section",
+    startDateField: "Start date",
+    endDateField: "End date",
+    startTimeField: "Start time",
+    endTimeField: "End time",
+    daysField: "Days pattern",
+    patternField: "Meeting patterns",
+    locationField: "Location",
+    descField: "Description",
+    weeksOverride: "Weeks override",
+  };
+  return map[k] || k;
+}
+
+export function guessInitialMapping(headers) {
+  // English header names first, then those of French, Spanish and German Workday tenants (compared without accents).
+  // A candidate matches the whole header or whole words in it before it matches inside a word, so "cours" finds
+  // "Cours" rather than "Parcours" and "jours" finds "Jours" rather than "Jours fériés"
+  const h = headers.map((s)=>s.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().trim());
+  const claimed = new Set(); // headers taken by the date, time and pattern fields, which the generic fields skip
+  const exact = (x, c) => x === c;
+  const wholeWord = (x, c) => new RegExp(`(?<![\\p{L}\\p{N}])${c}(?![\\p{L}\\p{N}])`, "u").test(x); // candidates are plain words
+  const inside = (x, c) => x.includes(c);
+  const pick = (claim, ...candidates) => {
+    const find = (...matchers) => {
+      for (const c of candidates) {
+        for (const match of matchers) {
+          const i = h.findIndex((x, j) => !claimed.has(j) && match(x, c));
+          if (i !== -1) return i;
+        }
+      }
+      return -1;
+    };
+    const word = find(exact, wholeWord);
+    const i = word !== -1 ? word : find(inside);
+    if (i === -1) return "";
+    if (claim) claimed.add(i);
+    return headers[i];
+  };
+
+  // Specific fields first: "Date de début du cours" is a start date before it is a course
+  const patternHeader = pick(true, "meeting pattern", "modele de reunion", "modeles de reunion", "horaire des seances", "patron de reunion", "patrones de reunion", "besprechungsmuster", "terminmuster");
+  const startDateHeader = pick(true, "start date", "from date", "first day", "date de debut", "date debut", "fecha de inicio", "fecha inicio", "startdatum", "beginndatum", "anfangsdatum");
+  const endDateHeader = pick(true, "end date", "to date", "last day", "date de fin", "fecha de fin", "fecha fin", "fecha final", "enddatum");
+  const startTimeHeader = pick(true, "start time", "time start", "from time", "begin time", "heure de debut", "heure debut", "hora de inicio", "hora inicio", "startzeit", "anfangszeit", "beginnzeit");
+  const endTimeHeader = pick(true, "end time", "time end", "to time", "finish time", "heure de fin", "heure fin", "hora de fin", "hora fin", "hora final", "endzeit");
+  const daysHeader = pick(false, "days", "meets", "days of week", "jours", "dias", "wochentag");
+  const locationHeader = pick(false, "location", "room", "building", "lieu", "salle", "emplacement", "ubicacion", "aula", "raum", "standort", "gebaude");
+  const titleHeader = pick(false, "title", "titre", "titulo", "titel");
+  const courseHeader = pick(false, "course", "subject", "cours", "curso", "asignatura", "kurs", "lehrveranstaltung");
+  const sectionHeader = pick(false, "section", "seccion", "grupo", "gruppe", "abschnitt");
+  const componentHeader = pick(false, "component", "instructional format", "type", "composante", "format pedagogique", "componente", "formato", "tipo", "veranstaltungsart", "typ");
+
+  return {
+    titleField: titleHeader,
+    courseField: courseHeader,
+    componentField: componentHeader,
+    sectionField: sectionHeader,
+    startDateField: startDateHeader,
+    endDateField: endDateHeader,
+    startTimeField: startTimeHeader,
+    endTimeField: endTimeHeader,
+    daysField: daysHeader,
+    patternField: patternHeader,
+    locationField: locationHeader,
+  };
+}
+
+function templateLookup(row, mapped, location) {
+  // Token values for one row: built-in names follow the mapping (location prefers the meeting pattern's room),
+  // anything else is read from the column with that header
+  const byHeader = new Map(Object.keys(row).map((h) => [h.trim().toLowerCase(), h]));
+  const pad = (n) => String(n).padStart(2, "0");
+  const text = (v) => (v instanceof Date ? `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}` : v);
+  return (name) => {
+    if (name === "location" && location) return location;
+    const field = TEMPLATE_FIELDS[name];
+    if (field && mapped[field]) return text(row[mapped[field]]);
+    return byHeader.has(name) ? text(row[byHeader.get(name)]) : "";
+  };
+}
+
+export function compileTemplates(options, headers) {
+  // The three event templates, compiled once; throws with every problem listed if any is invalid
+  const { titleTemplate, locationTemplate, descriptionTemplate } = { ...DEFAULTS, ...options };
+  const out = {};
+  const problems = [];
+  for (const [key, label, text] of [["summary", "Title", titleTemplate], ["location", "Location", locationTemplate], ["description", "Description", descriptionTemplate]]) {
+    out[key] = compileTemplate(text, headers);
+    problems.push(...out[key].errors.map((e) => `${label} template: ${e}`));
+  }
+  if (problems.length) throw new Error(problems.join("\n"));
+  return out;
+}
+
+export function renderEventText(templates, row, mapped, location) {
+  // SUMMARY, LOCATION and DESCRIPTION of one row. A mapped title column wins over the title template
+  const lookup = templateLookup(row, mapped, location);
+  const oneLine = (s) => s.replace(/\s+/g, " ").trim();
+  return {
+    summary: (mapped.titleField ? String(row[mapped.titleField] ?? "").trim() : oneLine(renderTemplate(templates.summary, lookup))) || "Class",
+    location: oneLine(renderTemplate(templates.location, lookup)),
+    description: renderTemplate(templates.description, lookup).replace(/[ \t]+/g, " ").replace(/ ?\n ?/g, "\n").trim(),
+  };
+}
+
+export function expandOccurrences(startDate, endDate, daySet, weeks = null) {
+  // weeks (from splitWeeks) keeps only some weeks, counted from the week startDate falls in
+  const out = [];
+  if (!startDate || !endDate) return out;
+  const d = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  while (d <= end) {
+    if (daySet.has(d.getDay()) && inWeeks(weeks, weekOfTerm(d, startDate))) out.push(new Date(d));
+    d.setDate(d.getDate() + 1);
+  }
+  return out;
+}
+
+function weekOfTerm(d, anchor) {
+  // 1 for the Monday-to-Sunday week holding anchor, 2 for the next one, ...
+  const monday = (x) => Date.UTC(x.getFullYear(), x.getMonth(), x.getDate() - (x.getDay() + 6) % 7);
+  return Math.round((monday(d) - monday(anchor)) / 604800000) + 1;
+}
+
+function inWeeks(weeks, n) {
+  if (!weeks) return true;
+  if (weeks.list) return weeks.list.includes(n);
+  return n >= weeks.start && (n - weeks.start) % weeks.interval === 0;
+}
+
+export function eventOccurrences(ev) {
+  // Concrete { start, end } pairs of an event, expanding its RRULE or RDATEs and dropping EXDATEs
+  if (!ev.rrule && !ev.rdates) return [{ start: ev.dtStart, end: ev.dtEnd }];
+  const t = (d) => ({ h: d.getHours(), min: d.getMinutes(), sec: d.getSeconds() });
+  const end = (d) => (ev.allDay ? new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1) : combineDateTime(d, t(ev.dtEnd)));
+  const skip = new Set((ev.exdates || []).map(icsDateTimeLocal));
+  const dates = ev.rdates
+    ? [ev.dtStart, ...ev.rdates]
+    : expandOccurrences(ev.dtStart, ev.rrule.until, ev.rrule.days, ev.rrule.interval > 1 ? { interval: ev.rrule.interval, start: 1 } : null);
+  return dates
+    .map((d) => ({ start: combineDateTime(d, t(ev.dtStart)), end: end(d) }))
+    .filter((o) => !skip.has(icsDateTimeLocal(o.start)));
+}
+
+export function occurrenceKey(ev, start) {
+  return `${ev.uid}|${icsDateTimeLocal(start)}`;
+}
+
+export function combineDateTime(date, t) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate(), t.h, t.min, t.sec || 0);
+  return d;
+}
+
+export function defaultMappingMode(mapping) {
+  // Workday's "View My Courses" export only has the combined column
+  return mapping.patternField && !mapping.startTimeField ? "pattern" : "columns";
+}
+
+export function requiredMappings(mappingMode) {
+  // A row without days is a single event and one without times can be all-day, so only the start date is always needed
+  if (mappingMode === "pattern") return ["patternField"];
+  return ["startDateField"];
+}
+
+export function checkCell(key, value, { mappingMode = "columns", dateOrder = "auto", dayLanguage = "auto", allDay = false } = {}) {
+  // Why a cell would be rejected by the parser of the field it is mapped to, or "" when it passes. Follows buildEvents:
+  // empty days and end dates make a single event, and in pattern mode the columns only fill in gaps.
+  // dateOrder and dayLanguage should already be settled ("MDY" rather than "auto") for the answer to match the conversion
+  const s = String(value ?? "").trim();
+  const optional = mappingMode === "pattern" && key !== "patternField";
+  if (!s && (optional || ["endDateField", "endTimeField", "daysField"].includes(key) || (allDay && key === "startTimeField"))) return "";
+  switch (key) {
+    case "patternField": {
+      const patterns = parseMeetingPatterns(s, dateOrder, dayLanguage);
+      return patterns.length && !patterns.some((p) => isTBA(p.raw)) ? "" : rejectionReason("parseMeetingPatterns", s);
+    }
+    case "startDateField":
+    case "endDateField":
+      return parseDate(s, dateOrder) ? "" : rejectionReason("parseDate", s);
+    case "startTimeField":
+    case "endTimeField":
+      return parseTime(s) || (key === "startTimeField" && splitRange(s, true)?.every(parseTime)) ? "" : rejectionReason("parseTime", s);
+    case "daysField":
+      return parseDays(s, dayLanguage).size ? "" : rejectionReason("parseDays", s);
+    default:
+      return "";
+  }
+}
+
+export function guessExamMapping(headers) {
+  // Final exam reports: one row per exam with a date, a time or time range, and a room
+  const h = headers.map((s)=>s.toLowerCase());
+  const pick = (...candidates) => {
+    for (const c of candidates) {
+      const i = h.findIndex((x)=> x.includes(c));
+      if (i !== -1) return headers[i];
+    }
+    return "";
+  };
+  return {
+    courseField: pick("course", "subject"),
+    sectionField: pick("section"),
+    componentField: pick("exam type", "type"),
+    startDateField: pick("exam date", "date"),
+    startTimeField: pick("start time", "exam time", "time"),
+    endTimeField: pick("end time", "finish time"),
+    locationField: pick("location", "room", "building"),
+  };
+}
+
+const MIDNIGHT = { h: 0, min: 0, sec: 0 };
+
+const DEFAULTS = {
+  titleTemplate: "{Course} {Component} {Section}",
+  locationTemplate: "{Location}",
+  descriptionTemplate: "{Description}",
+  calendarName: "Workday Schedule",
+  timezone: "America/Vancouver",
+  timeMode: "tzid",
+  exportMode: "recurring",
+  exclusions: [],
+  holidayPreset: "",
+  includeCancelled: true,
+  weekOverrides: {},
+  alarms: null,
+  groups: null,
+  allDay: false,
+  source: "",
+  dateOrder: "auto",
+  dayLanguage: "auto",
+};
+
+export function buildEvents(rows, mapped, options = {}) {
+  // Rows -> events (one per series, or one per class in expanded mode) with UIDs assigned.
+  // Problems are collected per row in issues instead of thrown; only a missing mapping throws.
+  // A row without days, or whose start and end date are the same, is a single event. In "exam" mode every row is.
+  // options.source ("exam") marks events and issues that come from a second spreadsheet
+  const { exportMode, exclusions, holidayPreset, weekOverrides, groups, allDay, source, dateOrder, dayLanguage } = { ...DEFAULTS, ...options };
+  const mappingMode = options.mappingMode || defaultMappingMode(mapped);
+  const patternMode = mappingMode === "pattern";
+  const examMode = mappingMode === "exam";
+  for (const k of requiredMappings(mappingMode)) {
+    if (!mapped[k]) throw new Error(`Missing required mapping: ${labelForKey(k)}`);
+  }
+  const templates = compileTemplates(options, Object.keys(rows[0] || {}));
+
+  const events = [];
+  const issues = []; // { row, severity, parser, field, value, message }
+  let occurrenceCount = 0;
+  let removedCount = 0;
+
+  // "auto" settles MDY or DMY once for the whole file, so 04/09 and 13/09 in one column are read the same way
+  const dateKeys = ["patternField", "startDateField", "endDateField"].filter((k) => mapped[k]);
+  const detected = dateOrder === "auto" ? detectDateOrder(rows.map((row) => dateKeys.map((k) => row[mapped[k]]).join("\n"))) : null;
+  const order = detected ? detected.order : dateOrder;
+  if (detected?.ambiguous || detected?.conflicting) {
+    const first = detected.samples[0] || { index: 0, text: "" };
+    const read = detected.samples.map((x) => `${x.text} as ${parseDate(x.text, order).toLocaleDateString("en-CA", { month: "long", day: "numeric", year: "numeric" })}`).join(", ");
+    issues.push({
+      row: first.index,
+      ...(source && { source }),
+      severity: "warning",
+      parser: "parseDate",
+      field: "Date format",
+      value: first.text,
+      message: detected.conflicting
+        ? `Some dates only make sense as day/month and others as month/day; all were read as ${order}${read ? ` (${read})` : ""}. Choose a date format if that is wrong`
+        : `No date has a day over 12, so the order is a guess: read as ${order} (${read}). Choose a date format if that is wrong`,
+    });
+  }
+
+  // Day names are read in one language for the whole file too, so "M" means the same day on every row
+  // Only the days part of a meeting pattern counts, so rooms never sway it
+  const dayCells = (row) => [
+    ...(patternMode && mapped.patternField ? meetingPatternDays(row[mapped.patternField], order) : []),
+    ...(mapped.daysField ? [row[mapped.daysField]] : []),
+  ];
+  const language = dayLanguage === "auto" ? detectDayLanguage(rows.flatMap(dayCells)) : dayLanguage;
+
+  rows.forEach((row, idx) => {
+    const issue = (severity, parser, field, value, message) =>
+      issues.push({ row: idx, ...(source && { source }), severity, parser, field, value: String(value ?? "").trim(), message });
+    try {
+      // Rows of switched-off courses, sections or components are skipped before anything is parsed
+      const { course, section, component: rowComponent } = rowGroups(row, mapped);
+      const component = rowComponent || (examMode ? "Exam" : "");
+      const { include, categories, color } = groupSettingsFor({ course, section, component }, groups);
+      if (!include) return;
+      const styling = { ...(categories.length && { categories }), ...(color && { color }) };
+
+      // Each meeting pattern in the row becomes its own series. Columns fill in anything a pattern omits.
+      // An exam's date cell may hold the whole "2025-12-12 9:00 AM - 11:30 AM", so it is read like a pattern
+      const patterns = patternMode
+        ? parseMeetingPatterns(row[mapped.patternField], order, language)
+        : examMode ? [parseMeetingPatterns(row[mapped.startDateField], order, language)[0] || {}] : [{}];
+      if (!patterns.length) {
+        issue("error", "parseMeetingPatterns", labelForKey("patternField"), row[mapped.patternField], rejectionReason("parseMeetingPatterns", row[mapped.patternField]));
+        return;
+      }
+
+      const rowLocation = mapped.locationField ? String(row[mapped.locationField] ?? "").trim() : "";
+      const { summary, description } = renderEventText(templates, row, mapped, rowLocation);
+
+      // Stable identity for UIDs; falls back to the title when no course columns are mapped
+      const identity = [source, course, section, component].filter(Boolean).join("|") || summary;
+
+      // A per-row override wins over whatever week pattern the export text suggests
+      const override = String(weekOverrides[idx] ?? "").trim();
+      const overrideWeeks = override ? parseWeeks(override) : null;
+      if (override && !overrideWeeks) {
+        issue("error", "parseWeeks", labelForKey("weeksOverride"), override, rejectionReason("parseWeeks", override));
+        return;
+      }
+
+      patterns.forEach((p, pi) => {
+        const series = `${source ? source + ":" : ""}${idx}:${pi}`; // groups a series' events in the preview
+        if (p.raw && isTBA(p.raw)) {
+          issue("error", "parseMeetingPatterns", labelForKey("patternField"), p.raw, rejectionReason("parseMeetingPatterns", p.raw));
+          return;
+        }
+        let failed = false;
+        const fromColumn = (key, parser, parse) => {
+          const value = row[mapped[key]];
+          const out = mapped[key] ? parse(value) : null;
+          if (out) return out;
+          failed = true;
+          if (mapped[key]) {
+            issue("error", parser, labelForKey(key), value, rejectionReason(parser, value));
+          } else if (examMode) {
+            // Exam rows have no meeting pattern: the date cell, or the start time cell, may hold the whole time range
+            const columns = ["startDateField", "startTimeField"].filter((k) => mapped[k]).map((k) => `"${mapped[k]}"`).join(" or ");
+            issue("error", parser, labelForKey(key), p.raw || cell("startTimeField"), `Not in the exam ${columns} column and no ${labelForKey(key)} column is mapped`);
+          } else {
+            issue("error", parser, labelForKey("patternField"), p.raw, `Not in the meeting pattern and no ${labelForKey(key)} column is mapped`);
+          }
+          return null;
+        };
+        const cell = (key) => (mapped[key] ? String(row[mapped[key]] ?? "").trim() : "");
+        const readDate = (v) => parseDate(v, order);
+        const startDate = p.startDate || fromColumn("startDateField", "parseDate", readDate);
+        // Days are optional: an empty days cell means a single event on the start date
+        const days = examMode ? null : p.days || (cell("daysField") ? fromColumn("daysField", "parseDays", (v) => { const d = parseDays(v, language); return d.size ? d : null; }) : null);
+        const endDate = p.endDate || (days ? fromColumn("endDateField", "parseDate", readDate) : readDate(cell("endDateField")) || startDate);
+        // Rows without any time are all-day events when options.allDay is set; a "9:00 AM - 11:30 AM" start time cell is both times
+        const allDayEvent = allDay && !p.startTime && !cell("startTimeField") && !cell("endTimeField");
+        const inCell = !p.startTime && !cell("endTimeField") ? splitRange(cell("startTimeField"), true)?.map(parseTime) : null;
+        const cellRange = inCell?.every(Boolean) ? inCell : null;
+        const startTime = allDayEvent ? MIDNIGHT : p.startTime || cellRange?.[0] || fromColumn("startTimeField", "parseTime", parseTime);
+        const endTime = allDayEvent ? MIDNIGHT : p.endTime || cellRange?.[1] || fromColumn("endTimeField", "parseTime", parseTime);
+        const { location } = renderEventText(templates, row, mapped, p.location || rowLocation);
+        if (failed) return;
+        const single = !days || startDate.getTime() === endDate.getTime();
+        const begin = (d) => combineDateTime(d, startTime);
+        const finish = (d) => (allDayEvent ? new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1) : combineDateTime(d, endTime));
+        const common = { series, summary, location, description, course, section, component, ...styling, ...(allDayEvent && { allDay: true }), ...(source && { source }) };
+        const found = overrideWeeks || p.weeks || (!p.days && mapped.daysField ? splitWeeks(row[mapped.daysField]).weeks : null);
+        const weeks = found && found.interval === 1 ? null : found;
+
+        // Parsed fine but probably not what the student meant
+        const at = p.raw ? ` in "${p.raw}"` : "";
+        if (!allDayEvent && timeOfDay(endTime) <= timeOfDay(startTime)) {
+          issue("warning", "parseTime", labelForKey("endTimeField"), p.raw || row[mapped.endTimeField], `End time is not after start time${at}`);
+        }
+        if (!days && !examMode && !allDayEvent && endDate > startDate) {
+          issue("warning", "parseDays", labelForKey("daysField"), p.raw || cell("daysField"), `No meeting days, so this is one event on the start date only${at}`);
+        }
+        if (endDate < startDate) {
+          issue("warning", "parseDate", labelForKey("endDateField"), p.raw || row[mapped.endDateField], `End date is before start date${at}`);
+        }
+        if (isTBA(location)) issue("warning", null, labelForKey("locationField"), location, "Location is TBA");
+        if (weeks?.ambiguous && !overrideWeeks) {
+          issue("warning", "parseWeeks", labelForKey(p.weeks ? "patternField" : "daysField"), p.raw || row[mapped.daysField], `Alternate weeks assumed to start in the first week of the term${at}; set a weeks override if this section starts in week 2`);
+        }
+
+        if (single) {
+          // One-off events (exams, make-up classes) are kept even on no-class dates: the date was given explicitly.
+          // An all-day row spans its whole date range
+          occurrenceCount++;
+          const last = allDayEvent && endDate > startDate ? endDate : startDate;
+          events.push({ key: `${identity}|${icsDateTimeLocal(begin(startDate))}`, ...common, dtStart: begin(startDate), dtEnd: finish(last) });
+          return;
+        }
+
+        const noClass = [...exclusions, ...holidayExclusions(holidayPreset, startDate.getFullYear(), endDate.getFullYear())];
+        const all = expandOccurrences(startDate, endDate, days, weeks);
+        const occurrences = all.filter((d) => !isExcluded(d, noClass));
+        occurrenceCount += occurrences.length;
+        removedCount += all.length - occurrences.length;
+        if (!occurrences.length) {
+          const why = all.length ? "Every class falls on a no-class date" : "None of the meeting days fall between the start and end date";
+          if (endDate >= startDate) issue("warning", "expandOccurrences", labelForKey("daysField"), p.raw || row[mapped.daysField], `Zero occurrences: ${why}${at}`);
+          return;
+        }
+
+        if (exportMode === "recurring") {
+          // DTSTART must itself be an occurrence, so anchor on the first kept date and EXDATE the rest.
+          // Alternate weeks become INTERVAL=2; an explicit week list has no rule and lists every class as an RDATE
+          const base = {
+            key: `${identity}|${[...days].sort().join("")}|${icsDateTimeLocal(begin(startDate)).slice(9)}${weeks ? "|" + describeWeeks(weeks) : ""}`,
+            ...common,
+            dtStart: begin(occurrences[0]),
+            dtEnd: finish(occurrences[0]),
+            ...(weeks && { weeks: describeWeeks(weeks) }),
+          };
+          if (weeks?.list) {
+            events.push({ ...base, rdates: occurrences.slice(1).map(begin) });
+            return;
+          }
+          events.push({
+            ...base,
+            rrule: { days, until: combineDateTime(endDate, { h: 23, min: 59, sec: 59 }), ...(weeks && { interval: weeks.interval }) },
+            exdates: all.filter((d) => d > occurrences[0] && isExcluded(d, noClass)).map(begin),
+          });
+          return;
+        }
+
+        occurrences.forEach((d) => {
+          events.push({ key: `${identity}|${icsDateTimeLocal(begin(d))}`, ...common, dtStart: begin(d), dtEnd: finish(d), ...(weeks && { weeks: describeWeeks(weeks) }) });
+        });
+      });
+    } catch (e) {
+      issue("error", null, "", "", e.message || String(e));
+    }
+  });
+
+  assignUids(events);
+  return { events, issues, occurrenceCount, removedCount };
+}
+
+function prepareExport(events, options) {
+  // Alarms, fingerprints and, against a previous export, SEQUENCE numbers; returns the diff or null
+  const { timezone, timeMode, previous, alarms } = options;
+  if (timeMode !== "floating" && !isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  events.forEach((ev) => {
+    ev.alarms = alarmsFor(ev.component, alarms);
+    ev.fingerprint = eventFingerprint(ev, timezone, timeMode);
+  });
+  return previous ? diffExport(events, previous) : null;
+}
+
+function utcOccurrences(events, o) {
+  // A UTC DTSTART repeated by a weekly RRULE keeps its UTC time, so every class after a DST change would be an hour off.
+  // In UTC mode each class of a series is listed as an RDATE instead, converted to UTC on its own date
+  if (o.timeMode !== "utc" || !o.timezone) return events;
+  return events.map((ev) => (ev.rrule && !ev.allDay
+    ? { ...ev, rrule: null, rdates: eventOccurrences({ ...ev, exdates: [] }).slice(1).map((x) => x.start) }
+    : ev));
+}
+
+export function exportICS(events, options = {}) {
+  // Events -> .ics text. With options.previous (from parsePreviousExport) also diffs, bumps SEQUENCE and cancels dropped events.
+  // options.alarms ({ Lecture: [{ minutes: 15, action: "DISPLAY" }], "*": [...] }) adds reminders by component
+  const o = { ...DEFAULTS, ...options };
+  const diff = prepareExport(events, o);
+  const ics = buildICS(utcOccurrences(events, o), o.calendarName, o.timezone, o.timeMode, diff && o.includeCancelled ? diff.removed : []);
+  return { ics, diff };
+}
+
+export function exportICSByCourse(events, options = {}) {
+  // One calendar per course -> { files: [{ name, ics }], diff }. Cancellations cannot be told apart by course,
+  // so they go to a file of their own
+  const o = { ...DEFAULTS, ...options };
+  const diff = prepareExport(events, o);
+  const byCourse = new Map();
+  for (const ev of events) {
+    const course = ev.course || ev.summary;
+    byCourse.set(course, [...(byCourse.get(course) || []), ev]);
+  }
+  const files = [...byCourse].map(([course, list]) => ({
+    name: course,
+    ics: buildICS(utcOccurrences(list, o), `${o.calendarName} - ${course}`, o.timezone, o.timeMode),
+  }));
+  if (diff && o.includeCancelled && diff.removed.length) {
+    files.push({ name: "Cancelled", ics: buildICS([], `${o.calendarName} - Cancelled`, o.timezone, o.timeMode, diff.removed) });
+  }
+  return { files, diff };
+}
+
+/**
+ * One-shot conversion: convert(rows, mapping, options) -> { ics, events, errors, warnings, diff }.
+ * rows are header-keyed objects (see parseCSV / tableFromMatrix), mapping is the same field -> header
+ * object the app builds, and options takes titleTemplate, locationTemplate, descriptionTemplate
+ * (see template.js), calendarName, timezone, timeMode ("tzid" | "floating" | "utc"), exportMode
+ * ("recurring" | "expanded"), mappingMode, exclusions, holidayPreset, weekOverrides
+ * ({ rowIndex: "Odd weeks" | "Weeks 1-6" | ... }), groups (see collectGroups), alarms (see exportICS),
+ * allDay, dateOrder ("auto" | "MDY" | "DMY" | "YMD"), dayLanguage ("auto" | "en" | "fr" | "es" | "de"), previous and includeCancelled.
+ */
+export function convert(rows, mapping, options = {}) {
+  const { events, issues, occurrenceCount, removedCount } = buildEvents(rows, mapping, options);
+  const { ics, diff } = exportICS(events, options);
+  return {
+    ics,
+    events,
+    errors: issues.filter((x) => x.severity === "error"),
+    warnings: issues.filter((x) => x.severity === "warning"),
+    diff,
+    occurrenceCount,
+    removedCount,
+  };
+}
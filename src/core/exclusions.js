@@ -0,0 +1,142 @@
+/**
+ * No-class dates: typed or uploaded ranges and bundled statutory holiday presets.
+ * A range is { start, end, label } with both ends inclusive, at local midnight.
+ */
+import { looksLikeDate, parseDate, splitRange } from "./parse.js";
+import { icsProp, icsUnescape, icsValueDate, parseICSEvents } from "./ics.js";
+
+export function parseExclusionText(text) {
+  // One date or range per line with an optional label, e.g. "2025-11-10 - 2025-11-14, Reading week".
+  // Also reads simple CSVs (date,label or start,end,label); header lines have no dates and land in invalid
+  const ranges = [];
+  const invalid = [];
+  for (const ln of String(text || "").split(/\r?\n|\r/)) {
+    const line = ln.trim();
+    if (!line || line.startsWith("#")) continue;
+    const dates = [];
+    const label = [];
+    // Commas split cells, except the one in "Sep 30, 2025"
+    for (const cell of line.split(/,(?!\s*\d{4}(?![-/\d]))/).map((c) => c.trim().replace(/^"(.*)"$/, "$1")).filter(Boolean)) {
+      const range = splitRange(cell, false);
+      if (range && looksLikeDate(range[0]) && looksLikeDate(range[1])) dates.push(parseDate(range[0]), parseDate(range[1]));
+      else if (looksLikeDate(cell)) dates.push(parseDate(cell));
+      else label.push(cell);
+    }
+    if (!dates.length) { invalid.push(line); continue; }
+    const [a, b = a] = dates;
+    ranges.push({ start: a <= b ? a : b, end: a <= b ? b : a, label: label.join(", ") });
+  }
+  return { ranges, invalid };
+}
+
+export function parseICSExclusions(text) {
+  // All-day or timed VEVENTs from a term calendar export. All-day DTEND is exclusive
+  const out = [];
+  for (const props of parseICSEvents(text)) {
+    const start = icsValueDate(icsProp(props, "DTSTART")?.value);
+    if (!start) continue;
+    const dtEnd = icsProp(props, "DTEND")?.value;
+    let end = icsValueDate(dtEnd);
+    if (end && !dtEnd.includes("T")) end.setDate(end.getDate() - 1);
+    if (!end || end < start) end = start;
+    out.push({ start, end, label: icsUnescape(icsProp(props, "SUMMARY")?.value).replace(/\n/g, " ") });
+  }
+  return out;
+}
+
+export function isExcluded(date, ranges) {
+  return ranges.some((r) => date >= r.start && date <= r.end);
+}
+
+function nthWeekday(year, month, weekday, n) {
+  // n-th given weekday of a 1-based month; n = -1 for the last one
+  if (n > 0) return new Date(year, month - 1, 1 + ((weekday - new Date(year, month - 1, 1).getDay() + 7) % 7) + (n - 1) * 7);
+  const last = new Date(year, month, 0);
+  return new Date(year, month - 1, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+}
+
+function easterSunday(year) {
+  // Anonymous Gregorian algorithm
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+// [label, year => date, fixed calendar date (so it has an observed weekday)]
+const NEW_YEAR = ["New Year's Day", (y) => new Date(y, 0, 1), true];
+
+const GOOD_FRIDAY = ["Good Friday", (y) => { const d = easterSunday(y); d.setDate(d.getDate() - 2); return d; }];
+
+const FAMILY_DAY = ["Family Day", (y) => nthWeekday(y, 2, 1, 3)];
+
+const VICTORIA_DAY = ["Victoria Day", (y) => { const d = new Date(y, 4, 24); d.setDate(24 - ((d.getDay() + 6) % 7)); return d; }];
+
+const CANADA_DAY = ["Canada Day", (y) => new Date(y, 6, 1), true];
+
+const CIVIC_HOLIDAY = ["Civic Holiday", (y) => nthWeekday(y, 8, 1, 1)];
+
+const LABOUR_DAY = ["Labour Day", (y) => nthWeekday(y, 9, 1, 1)];
+
+const TRUTH_RECONCILIATION = ["National Day for Truth and Reconciliation", (y) => new Date(y, 8, 30), true];
+
+const THANKSGIVING_CA = ["Thanksgiving", (y) => nthWeekday(y, 10, 1, 2)];
+
+const REMEMBRANCE_DAY = ["Remembrance Day", (y) => new Date(y, 10, 11), true];
+
+const CHRISTMAS = ["Christmas Day", (y) => new Date(y, 11, 25), true];
+
+const BOXING_DAY = ["Boxing Day", (y) => new Date(y, 11, 26), true];
+
+const THANKSGIVING_US = ["Thanksgiving", (y) => nthWeekday(y, 11, 4, 4)];
+
+const DAY_AFTER_THANKSGIVING = ["Day after Thanksgiving", (y) => { const d = nthWeekday(y, 11, 4, 4); d.setDate(d.getDate() + 1); return d; }];
+
+const US_FEDERAL = [
+  NEW_YEAR,
+  ["Martin Luther King Jr. Day", (y) => nthWeekday(y, 1, 1, 3)],
+  ["Presidents' Day", (y) => nthWeekday(y, 2, 1, 3)],
+  ["Memorial Day", (y) => nthWeekday(y, 5, 1, -1)],
+  ["Juneteenth", (y) => new Date(y, 5, 19), true],
+  ["Independence Day", (y) => new Date(y, 6, 4), true],
+  ["Labor Day", (y) => nthWeekday(y, 9, 1, 1)],
+  ["Columbus Day", (y) => nthWeekday(y, 10, 1, 2)],
+  ["Veterans Day", (y) => new Date(y, 10, 11), true],
+  THANKSGIVING_US,
+  CHRISTMAS,
+];
+
+export const HOLIDAY_PRESETS = {
+  "CA-AB": { label: "Canada - Alberta", observed: "ca", holidays: [NEW_YEAR, FAMILY_DAY, GOOD_FRIDAY, VICTORIA_DAY, CANADA_DAY, LABOUR_DAY, THANKSGIVING_CA, REMEMBRANCE_DAY, CHRISTMAS] },
+  "CA-BC": { label: "Canada - British Columbia", observed: "ca", holidays: [NEW_YEAR, FAMILY_DAY, GOOD_FRIDAY, VICTORIA_DAY, CANADA_DAY, ["B.C. Day", CIVIC_HOLIDAY[1]], LABOUR_DAY, TRUTH_RECONCILIATION, THANKSGIVING_CA, REMEMBRANCE_DAY, CHRISTMAS] },
+  "CA-MB": { label: "Canada - Manitoba", observed: "ca", holidays: [NEW_YEAR, ["Louis Riel Day", FAMILY_DAY[1]], GOOD_FRIDAY, VICTORIA_DAY, CANADA_DAY, ["Terry Fox Day", CIVIC_HOLIDAY[1]], LABOUR_DAY, TRUTH_RECONCILIATION, THANKSGIVING_CA, REMEMBRANCE_DAY, CHRISTMAS] },
+  "CA-NS": { label: "Canada - Nova Scotia", observed: "ca", holidays: [NEW_YEAR, ["Heritage Day", FAMILY_DAY[1]], GOOD_FRIDAY, CANADA_DAY, ["Natal Day", CIVIC_HOLIDAY[1]], LABOUR_DAY, REMEMBRANCE_DAY, CHRISTMAS, BOXING_DAY] },
+  "CA-ON": { label: "Canada - Ontario", observed: "ca", holidays: [NEW_YEAR, FAMILY_DAY, GOOD_FRIDAY, VICTORIA_DAY, CANADA_DAY, CIVIC_HOLIDAY, LABOUR_DAY, THANKSGIVING_CA, CHRISTMAS, BOXING_DAY] },
+  "CA-QC": { label: "Canada - Quebec", observed: "ca", holidays: [NEW_YEAR, GOOD_FRIDAY, ["National Patriots' Day", VICTORIA_DAY[1]], ["Fête nationale", (y) => new Date(y, 5, 24), true], CANADA_DAY, LABOUR_DAY, THANKSGIVING_CA, CHRISTMAS] },
+  "CA-SK": { label: "Canada - Saskatchewan", observed: "ca", holidays: [NEW_YEAR, FAMILY_DAY, GOOD_FRIDAY, VICTORIA_DAY, CANADA_DAY, ["Saskatchewan Day", CIVIC_HOLIDAY[1]], LABOUR_DAY, THANKSGIVING_CA, REMEMBRANCE_DAY, CHRISTMAS] },
+  "US": { label: "United States - federal", observed: "us", holidays: US_FEDERAL },
+  "US-CA": { label: "United States - California", observed: "us", holidays: [...US_FEDERAL, ["César Chávez Day", (y) => new Date(y, 2, 31), true], DAY_AFTER_THANKSGIVING] },
+  "US-NY": { label: "United States - New York", observed: "us", holidays: [...US_FEDERAL, ["Lincoln's Birthday", (y) => new Date(y, 1, 12), true], ["Election Day", (y) => { const d = nthWeekday(y, 11, 1, 1); d.setDate(d.getDate() + 1); return d; }]] },
+  "US-WA": { label: "United States - Washington", observed: "us", holidays: [...US_FEDERAL.filter((h) => h[0] !== "Columbus Day"), ["Native American Heritage Day", DAY_AFTER_THANKSGIVING[1]]] },
+};
+
+export function holidayExclusions(preset, fromYear, toYear) {
+  // Fixed-date holidays on a weekend move to Monday in Canada; in the US Saturday moves to Friday
+  const p = HOLIDAY_PRESETS[preset];
+  if (!p) return [];
+  const out = [];
+  for (let y = fromYear; y <= toYear; y++) {
+    for (const [label, dateFor, fixed] of p.holidays) {
+      const d = dateFor(y);
+      out.push({ start: d, end: d, label });
+      const wd = d.getDay();
+      if (!fixed || (wd !== 0 && wd !== 6)) continue;
+      const obs = new Date(d);
+      obs.setDate(d.getDate() + (wd === 0 ? 1 : p.observed === "us" ? -1 : 2));
+      out.push({ start: obs, end: obs, label: `${label} (observed)` });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,55 @@
+/**
+ * Courses, sections and components found in the rows, each with an include
+ * switch, a category and a color (a CSS color name, as RFC 7986 COLOR requires).
+ */
+
+export const GROUP_KINDS = [
+  ["course", "courseField", "Course"],
+  ["section", "sectionField", "Section"],
+  ["component", "componentField", "Component"],
+];
+
+export const COLOR_PALETTE = [
+  "cornflowerblue", "tomato", "mediumseagreen", "orange", "mediumpurple", "gold",
+  "lightseagreen", "hotpink", "sienna", "steelblue", "yellowgreen", "slategray",
+];
+
+export function rowGroups(row, mapped) {
+  // { course, section, component } values of one row, "" where the column is not mapped
+  return Object.fromEntries(GROUP_KINDS.map(([kind, field]) => [kind, mapped[field] ? String(row[mapped[field]] ?? "").trim() : ""]));
+}
+
+export function groupKey(kind, values) {
+  // Key of a row's entry in groups[kind]. Section codes such as "001" repeat across courses, so a section is
+  // keyed by its course too ("MATH 101 / 001"); courses and components by their value alone
+  if (kind !== "section" || !values.section) return values[kind];
+  return values.course ? `${values.course} / ${values.section}` : values.section;
+}
+
+export function collectGroups(rows, mapped, previous = {}) {
+  // Settings for every value in the rows, keyed as groupKey does. Known values keep their settings from previous;
+  // courses get palette colors and categories, components a category only, sections neither
+  const out = {};
+  const keyed = rows.map((r) => rowGroups(r, mapped));
+  for (const [kind] of GROUP_KINDS) {
+    const values = [...new Set(keyed.map((v) => groupKey(kind, v)).filter(Boolean))].sort();
+    out[kind] = Object.fromEntries(values.map((v, i) => [v, previous[kind]?.[v] || {
+      include: true,
+      category: kind === "section" ? "" : v,
+      color: kind === "course" ? COLOR_PALETTE[i % COLOR_PALETTE.length] : "",
+    }]));
+  }
+  return out;
+}
+
+export function groupSettingsFor(values, groups) {
+  // Whether a row is included and the categories and color its events get. A section's color wins over
+  // its course's, which wins over its component's
+  const entry = (kind) => groups?.[kind]?.[groupKey(kind, values)];
+  const entries = GROUP_KINDS.map(([kind]) => entry(kind)).filter(Boolean);
+  return {
+    include: entries.every((e) => e.include !== false),
+    categories: [...new Set(entries.map((e) => e.category?.trim()).filter(Boolean))],
+    color: ["section", "course", "component"].map((kind) => entry(kind)?.color).find(Boolean) || "",
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * iCalendar (RFC 5545) writing and reading. Event times are Dates whose local
+ * fields hold the wall-clock time of the class; buildICS decides whether they
+ * are written floating, with a TZID, or converted to UTC.
+ */
+import { isValidTimeZone, tzName, tzOffsetMinutes, tzTransitions, zonedToUTC } from "./timezone.js";
+
+export function parseICSEvents(text) {
+  // Top-level properties of each VEVENT, unfolded. Nested components (VALARM) are skipped
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const out = [];
+  let cur = null;
+  let depth = 0;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") { cur = []; depth = 0; continue; }
+    if (!cur) continue;
+    if (line === "END:VEVENT") { out.push(cur); cur = null; continue; }
+    if (line.startsWith("BEGIN:")) { depth++; continue; }
+    if (line.startsWith("END:")) { depth--; continue; }
+    if (depth) continue;
+    const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+    if (m) cur.push({ name: m[1].toUpperCase(), params: m[2], value: m[3], line });
+  }
+  return out;
+}
+
+export function icsProp(props, name) {
+  return props.find((p) => p.name === name);
+}
+
+export function icsUnescape(s) {
+  // One pass, so an escaped backslash before "n" stays a backslash and an "n"
+  return String(s || "").replace(/\\([\s\S])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+export function icsValueDate(value) {
+  const d = String(value || "").match(/^(\d{4})(\d{2})(\d{2})/);
+  return d ? new Date(Number(d[1]), Number(d[2]) - 1, Number(d[3])) : null;
+}
+
+export function icsDateTimeLocal(dt) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    dt.getFullYear().toString() +
+    pad(dt.getMonth() + 1) +
+    pad(dt.getDate()) +
+    "T" +
+    pad(dt.getHours()) +
+    pad(dt.getMinutes()) +
+    pad(dt.getSeconds())
+  );
+}
+
+export function icsDateTimeUTC(dt) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    dt.getUTCFullYear().toString() +
+    pad(dt.getUTCMonth() + 1) +
+    pad(dt.getUTCDate()) +
+    "T" +
+    pad(dt.getUTCHours()) +
+    pad(dt.getUTCMinutes()) +
+    pad(dt.getUTCSeconds()) +
+    "Z"
+  );
+}
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export function icsRRule(rrule, formatUntil) {
+  // Weekly rule from a parseDays set. UNTIL must be floating for floating DTSTART and UTC otherwise.
+  // WKST is spelled out with INTERVAL because it decides which weeks count for Sunday classes
+  const byDay = [...rrule.days].sort((a, b) => a - b).map((d) => ICS_WEEKDAYS[d]).join(",");
+  const interval = rrule.interval > 1 ? `;INTERVAL=${rrule.interval};WKST=MO` : "";
+  return `FREQ=WEEKLY${interval};BYDAY=${byDay};UNTIL=${formatUntil(rrule.until)}`;
+}
+
+function icsUtcOffset(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const a = Math.abs(minutes);
+  return (minutes < 0 ? "-" : "+") + pad(Math.floor(a / 60)) + pad(a % 60);
+}
+
+export function buildVTimezone(zone, fromYear, toYear) {
+  // One observance per actual transition in the covered years, plus the offset in effect on Jan 1
+  const start = Date.UTC(fromYear, 0, 1);
+  const initial = tzOffsetMinutes(zone, start);
+  const transitions = tzTransitions(zone, fromYear, toYear);
+  const standard = Math.min(initial, ...transitions.map((t) => t.to));
+  let out = "BEGIN:VTIMEZONE\n" + `TZID:${zone}\n`;
+  const observance = (at, from, to) => {
+    const kind = to > standard ? "DAYLIGHT" : "STANDARD";
+    out += `BEGIN:${kind}\n` +
+      `DTSTART:${icsDateTimeUTC(new Date(at + from * 60000)).slice(0, -1)}\n` +
+      `TZOFFSETFROM:${icsUtcOffset(from)}\n` +
+      `TZOFFSETTO:${icsUtcOffset(to)}\n` +
+      `TZNAME:${icsEscape(tzName(zone, at))}\n` +
+      `END:${kind}\n`;
+  };
+  observance(start - initial * 60000, initial, initial);
+  transitions.forEach((t) => observance(t.at, t.from, t.to));
+  return out + "END:VTIMEZONE\n";
+}
+
+export function controlChars(allowed = "", flags = "") {
+  // A regex matching the C0 control characters and DEL, except those in allowed. Built from char codes so no
+  // control character has to be written into a regex literal
+  const chars = [...Array(32).keys(), 127].map((c) => String.fromCharCode(c)).filter((ch) => !allowed.includes(ch));
+  return new RegExp(`[${chars.join("")}]`, flags);
+}
+
+const CONTROL_CHARS = controlChars("\t", "g"); // line breaks are already \n by the time these are dropped
+
+export function icsEscape(s) {
+  // TEXT values: any line break (CRLF, CR or LF) becomes \n; other control characters are not allowed and are dropped
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r\n?|\n/g, "\\n")
+    .replace(CONTROL_CHARS, "")
+    .replace(/[,;]/g, (m) => `\\${m}`);
+}
+
+export function utf8Length(ch) {
+  // Octets of one code point in UTF-8
+  const cp = ch.codePointAt(0);
+  return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+}
+
+export function foldLines(text) {
+  // RFC 5545 3.1: lines end in CRLF and are folded at 75 octets (the leading space of a continuation counts).
+  // Splits fall between code points, never inside a multibyte character
+  const out = [];
+  for (const ln of String(text).split(/\r?\n/)) {
+    let line = "";
+    let octets = 0;
+    for (const ch of ln) {
+      const n = utf8Length(ch);
+      if (octets + n > 75) {
+        out.push(line);
+        line = " ";
+        octets = 1;
+      }
+      line += ch;
+      octets += n;
+    }
+    out.push(line);
+  }
+  return out.join("\r\n");
+}
+
+export function hashString(s) {
+  // cyrb53: 53-bit string hash, plenty for telling a term's events apart
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h2 >>> 0).toString(16).padStart(8, "0") + (h1 >>> 0).toString(16).padStart(8, "0");
+}
+
+export function assignUids(events) {
+  // Same key -> same UID on every export; repeated keys (e.g. a room change mid-term) get a counter
+  const seen = new Map();
+  for (const ev of events) {
+    const n = (seen.get(ev.key) || 0) + 1;
+    seen.set(ev.key, n);
+    ev.uid = `${hashString(n > 1 ? `${ev.key}#${n}` : ev.key)}@gisttools.local`;
+  }
+}
+
+export function icsDuration(minutes) {
+  // 90 -> PT1H30M, 1440 -> P1D
+  const d = Math.floor(minutes / 1440);
+  const h = Math.floor((minutes % 1440) / 60);
+  const m = minutes % 60;
+  const time = (h ? `${h}H` : "") + (m || (!d && !h) ? `${m}M` : "");
+  return `P${d ? `${d}D` : ""}${time ? `T${time}` : ""}`;
+}
+
+function icsAlarms(ev) {
+  return (ev.alarms || []).map((a) =>
+    "BEGIN:VALARM\n" +
+    `ACTION:${a.action}\n` +
+    `TRIGGER:-${icsDuration(a.minutes)}\n` +
+    (a.action === "DISPLAY" ? `DESCRIPTION:${icsEscape(ev.summary || "Class")}\n` : "") +
+    "END:VALARM\n"
+  ).join("");
+}
+
+export function eventFingerprint(ev, timezone, timeMode) {
+  // Everything a calendar shows; a different fingerprint under the same UID bumps SEQUENCE
+  return hashString([
+    timeMode === "floating" ? "" : timezone,
+    timeMode,
+    icsDateTimeLocal(ev.dtStart),
+    icsDateTimeLocal(ev.dtEnd),
+    ev.rrule ? icsRRule(ev.rrule, icsDateTimeLocal) : "",
+    // Only present when set, so exports from before RDATE support keep their fingerprints
+    ...(ev.rdates ? [ev.rdates.map(icsDateTimeLocal).join(",")] : []),
+    (ev.exdates || []).map(icsDateTimeLocal).join(","),
+    ev.summary,
+    ev.location,
+    ev.description,
+    ...(ev.alarms?.length ? [ev.alarms.map((a) => `${a.action}${a.minutes}`).join(",")] : []),
+    ...(ev.categories?.length ? [ev.categories.join(",")] : []),
+    ...(ev.color ? [ev.color] : []),
+    ...(ev.allDay ? ["all-day"] : []),
+  ].join("\u001f"));
+}
+
+export function parsePreviousExport(text) {
+  const out = new Map();
+  for (const props of parseICSEvents(text)) {
+    const uid = icsProp(props, "UID")?.value;
+    if (!uid) continue;
+    out.set(uid, {
+      uid,
+      sequence: Number(icsProp(props, "SEQUENCE")?.value) || 0,
+      fingerprint: icsProp(props, "X-GISTTOOLS-FINGERPRINT")?.value || "",
+      cancelled: icsProp(props, "STATUS")?.value === "CANCELLED",
+      summary: icsUnescape(icsProp(props, "SUMMARY")?.value),
+      start: icsProp(props, "DTSTART")?.value || "",
+      props,
+    });
+  }
+  return out;
+}
+
+export function diffExport(events, previous) {
+  // Sets ev.sequence from the previous export and sorts events into added / changed / removed
+  const added = [];
+  const changed = [];
+  const removed = [];
+  let unchanged = 0;
+  const seen = new Set();
+  for (const ev of events) {
+    const prev = previous.get(ev.uid);
+    seen.add(ev.uid);
+    if (!prev || prev.cancelled) {
+      ev.sequence = prev ? prev.sequence + 1 : 0;
+      added.push(ev);
+    } else if (prev.fingerprint === ev.fingerprint) {
+      ev.sequence = prev.sequence;
+      unchanged++;
+    } else {
+      ev.sequence = prev.sequence + 1;
+      changed.push(ev);
+    }
+  }
+  for (const prev of previous.values()) {
+    if (!seen.has(prev.uid) && !prev.cancelled) removed.push(prev);
+  }
+  return { added, changed, removed, unchanged };
+}
+
+export function describeIcsDate(value) {
+  const m = String(value || "").match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/);
+  if (!m) return "";
+  return `${m[1]}-${m[2]}-${m[3]}` + (m[4] ? ` ${m[4]}:${m[5]}` : "") + (String(value).endsWith("Z") ? " UTC" : "");
+}
+
+function propYears(prev) {
+  // Years of every date in a previously exported event (DTSTART, DTEND, RDATE, EXDATE, RRULE's UNTIL)
+  return prev.props
+    .filter((p) => ["DTSTART", "DTEND", "RDATE", "EXDATE", "RRULE"].includes(p.name))
+    .flatMap((p) => (p.value.match(/\b\d{8}(?=T|\b)/g) || []).map((d) => Number(d.slice(0, 4))));
+}
+
+function propZones(prev) {
+  // Zones a previously exported event was written in; its lines are resent as they were, TZID and all
+  return prev.props.flatMap((p) => {
+    const m = p.params.match(/;TZID=(?:"([^"]*)"|([^;:]*))/i);
+    return m ? [m[1] ?? m[2]] : [];
+  });
+}
+
+export function buildICS(events, calName, timezone, timeMode = "tzid", cancelled = []) {
+  const now = new Date();
+  const zoned = timeMode !== "floating" && !!timezone;
+  let ics = "BEGIN:VCALENDAR\n" +
+            "VERSION:2.0\n" +
+            "CALSCALE:GREGORIAN\n" +
+            "PRODID:-//GistTools//Workday Excel to iCal//EN\n" +
+            (calName ? `X-WR-CALNAME:${icsEscape(calName)}\n` : "") +
+            (timezone ? `X-WR-TIMEZONE:${icsEscape(timezone)}\n` : "");
+
+  // DTSTART/DTEND/RDATE/EXDATE share one form; UNTIL is UTC whenever DTSTART is not floating
+  const toUTC = (dt) => icsDateTimeUTC(zonedToUTC(dt, timezone));
+  const tzParam = zoned && timeMode === "tzid" ? `;TZID=${timezone}` : "";
+  const fmt = zoned && timeMode === "utc" ? toUTC : icsDateTimeLocal;
+  const fmtUntil = zoned ? toUTC : icsDateTimeLocal;
+  // All-day events are plain dates, which carry no timezone; RFC 5545 wants UNTIL as a date for them too
+  const dateOnly = (dt) => icsDateTimeLocal(dt).slice(0, 8);
+
+  // One VTIMEZONE per zone any line refers to: this export's, and those of cancelled events from an earlier export,
+  // which may have used another zone or time mode. A calendar of nothing but cancellations still needs them
+  const zoneYears = new Map();
+  const addYears = (zone, years) => zoneYears.set(zone, [...(zoneYears.get(zone) || []), ...years]);
+  if (tzParam && events.length) {
+    addYears(timezone, events.flatMap((ev) => [ev.dtStart.getFullYear(), (ev.rrule?.until || ev.rdates?.[ev.rdates.length - 1] || ev.dtEnd).getFullYear()]));
+  }
+  for (const prev of cancelled) {
+    for (const zone of new Set(propZones(prev))) addYears(zone, propYears(prev));
+  }
+  for (const [zone, years] of zoneYears) {
+    if (isValidTimeZone(zone) && years.length) ics += buildVTimezone(zone, Math.min(...years), Math.max(...years));
+  }
+
+  for (const ev of events) {
+    const uid = ev.uid || `${Math.random().toString(36).slice(2)}@gisttools.local`;
+    const [param, when, until] = ev.allDay ? [";VALUE=DATE", dateOnly, dateOnly] : [tzParam, fmt, fmtUntil];
+    ics +=
+      "BEGIN:VEVENT\n" +
+      `UID:${uid}\n` +
+      `DTSTAMP:${icsDateTimeUTC(now)}\n` +
+      `SEQUENCE:${ev.sequence || 0}\n` +
+      `DTSTART${param}:${when(ev.dtStart)}\n` +
+      `DTEND${param}:${when(ev.dtEnd)}\n` +
+      (ev.rrule ? `RRULE:${icsRRule(ev.rrule, until)}\n` : "") +
+      (ev.rdates?.length ? `RDATE${param}:${ev.rdates.map(when).join(",")}\n` : "") +
+      (ev.exdates?.length ? `EXDATE${param}:${ev.exdates.map(when).join(",")}\n` : "") +
+      (ev.summary ? `SUMMARY:${icsEscape(ev.summary)}\n` : "") +
+      (ev.location ? `LOCATION:${icsEscape(ev.location)}\n` : "") +
+      (ev.description ? `DESCRIPTION:${icsEscape(ev.description)}\n` : "") +
+      (ev.categories?.length ? `CATEGORIES:${ev.categories.map(icsEscape).join(",")}\n` : "") +
+      (ev.color ? `COLOR:${ev.color}\n` : "") +
+      (ev.fingerprint ? `X-GISTTOOLS-FINGERPRINT:${ev.fingerprint}\n` : "") +
+      // Which uploaded files the event came from; not part of the fingerprint, so renaming a file bumps nothing
+      (ev.sources?.length ? `X-GISTTOOLS-SOURCE:${ev.sources.map(icsEscape).join(",")}\n` : "") +
+      icsAlarms(ev) +
+      "END:VEVENT\n";
+  }
+
+  // Classes dropped since the previous export: resend them as cancelled under their old UID
+  const replaced = new Set(["DTSTAMP", "SEQUENCE", "STATUS", "X-GISTTOOLS-FINGERPRINT"]);
+  for (const prev of cancelled) {
+    ics +=
+      "BEGIN:VEVENT\n" +
+      prev.props.filter((p) => !replaced.has(p.name)).map((p) => p.line + "\n").join("") +
+      `DTSTAMP:${icsDateTimeUTC(now)}\n` +
+      `SEQUENCE:${prev.sequence + 1}\n` +
+      "STATUS:CANCELLED\n" +
+      "END:VEVENT\n";
+  }
+  ics += "END:VCALENDAR\n";
+  // Lines are put together with \n above; folding turns every one into a CRLF-terminated line
+  return foldLines(ics);
+}
@@ -0,0 +1,18 @@
+/**
+ * Headless conversion core. Everything the app does to turn a Workday export
+ * into a calendar is importable from here, e.g. for batch conversion scripts.
+ */
+export * from "./alarms.js";
+export * from "./conflicts.js";
+export * from "./convert.js";
+export * from "./exclusions.js";
+export * from "./groups.js";
+export * from "./ics.js";
+export * from "./merge.js";
+export * from "./parse.js";
+export * from "./profiles.js";
+export * from "./schedule.js";
+export * from "./table.js";
+export * from "./template.js";
+export * from "./timezone.js";
+export * from "./validate.js";
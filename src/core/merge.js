@@ -0,0 +1,73 @@
+/**
+ * Several schedule files in one calendar: a Fall and a Winter export, or a
+ * timetable plus a separate lab schedule. Each file is built with its own
+ * headers and mapping, then merged here.
+ */
+import { eventOccurrences } from "./convert.js";
+import { hashString, icsDateTimeLocal, icsRRule } from "./ics.js";
+
+function eventSignature(ev) {
+  // What a calendar would show twice: same title, room and times. Descriptions and file-specific details may differ
+  return [
+    ev.summary,
+    ev.location,
+    ev.allDay ? "all-day" : "",
+    icsDateTimeLocal(ev.dtStart),
+    icsDateTimeLocal(ev.dtEnd),
+    ev.rrule ? icsRRule(ev.rrule, icsDateTimeLocal) : "",
+    (ev.rdates || []).map(icsDateTimeLocal).join(","),
+    (ev.exdates || []).map(icsDateTimeLocal).join(","),
+  ].join("\u001f");
+}
+
+export function mergeSources(builds) {
+  // builds: [{ name, events, issues, occurrenceCount, removedCount }] from buildEvents, one per file in upload order.
+  // -> the same for all files together, plus duplicates: [{ summary, dtStart, sources }] for every event an
+  // earlier file already had. Kept events list every file they came from in sources and the first in fileIndex;
+  // series ids and issues are prefixed or tagged with the file index so rows of different files stay apart
+  const events = [];
+  const issues = [];
+  const duplicates = [];
+  const bySignature = new Map();
+  let occurrenceCount = 0;
+  let removedCount = 0;
+  builds.forEach((b, fileIndex) => {
+    occurrenceCount += b.occurrenceCount;
+    removedCount += b.removedCount;
+    issues.push(...b.issues.map((d) => ({ ...d, fileIndex })));
+    for (const ev of b.events) {
+      const signature = eventSignature(ev);
+      const first = bySignature.get(signature);
+      if (first) {
+        first.sources = [...new Set([...first.sources, b.name])];
+        occurrenceCount -= eventOccurrences(ev).length;
+        duplicates.push({ summary: ev.summary, dtStart: ev.dtStart, sources: first.sources });
+        continue;
+      }
+      const merged = { ...ev, series: `${fileIndex}:${ev.series}`, fileIndex, sources: [b.name] };
+      bySignature.set(signature, merged);
+      events.push(merged);
+    }
+  });
+  separateUids(events);
+  return { events, issues, occurrenceCount, removedCount, duplicates };
+}
+
+function sourceKey(name) {
+  // "Fall 2025 (1).xlsx" and "fall 2025.csv" are the same source
+  return String(name).replace(/\.[a-z0-9]+$/i, "").replace(/\s*\(\d+\)$/, "").trim().toLowerCase();
+}
+
+function separateUids(events) {
+  // Each file's events keep the UIDs buildEvents gave them, so file order and unrelated files change nothing. The
+  // same course in two terms has the same key, though: the earliest keeps its UID and the others mix their file in
+  const byUid = new Map();
+  for (const ev of events) byUid.set(ev.uid, [...(byUid.get(ev.uid) || []), ev]);
+  for (const list of byUid.values()) {
+    // Within one file UIDs are already unique, so a repeat comes from another file
+    if (list.length < 2) continue;
+    const order = (ev) => `${icsDateTimeLocal(ev.dtStart)}\u001f${sourceKey(ev.sources[0])}`;
+    const [, ...later] = [...list].sort((a, b) => order(a).localeCompare(order(b)));
+    for (const ev of later) ev.uid = `${hashString(`${ev.uid}|${sourceKey(ev.sources[0])}`)}@gisttools.local`;
+  }
+}
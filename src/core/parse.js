@@ -0,0 +1,432 @@
+/**
+ * Cell parsers for Workday schedule exports: dates (in MDY, DMY or YMD order), times, day patterns (in English,
+ * French, Spanish or German), week patterns ("Alternate Weeks", "Weeks 1-6") and the combined "Meeting Patterns" cell. Each returns null (or an empty set)
+ * when it cannot read a value; rejectionReason explains why in plain words.
+ */
+
+export function rejectionReason(parser, value) {
+  // Why a parser returned nothing for a cell, in words a student can act on
+  const s = String(value ?? "").trim();
+  if (!s) return "Cell is empty";
+  if (isTBA(s)) return "Not scheduled yet (TBA)";
+  switch (parser) {
+    case "parseDate": return "Not a recognizable date (expected e.g. 2025-09-04, 04/09/2025 in the chosen date format, or 4-Sep-2025)";
+    case "parseTime": return "Expected a time like 10:00 AM or 14:30";
+    case "parseDays": return "No weekday names found (expected e.g. MWF, TuTh, Mon Wed Fri, or Lun Mer Ven in the chosen day language)";
+    case "parseMeetingPatterns": return "No meeting pattern found";
+    case "parseWeeks": return "Expected e.g. Every week, Odd weeks, Even weeks or Weeks 1-6, 8";
+    default: return "Could not be read";
+  }
+}
+
+export function isTBA(s) {
+  return /^(?:tba|tbd|to be (?:announced|determined))\b/i.test(String(s || "").trim());
+}
+
+export function timeOfDay(t) {
+  return t.h * 3600 + t.min * 60 + (t.sec || 0);
+}
+
+export const DATE_ORDERS = ["auto", "MDY", "DMY", "YMD"];
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+// 1/2/2025, 01.02.25, 2025-02-01: three numbers, with the year first or last
+const NUMERIC_DATE = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/;
+
+// Excel's day 0 is 1899-12-30 (it counts a leap day 1900 never had); serials 20000-80000 cover 1954-2119
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+function makeDate(y, m, d) {
+  // Rejects 31/02 and friends instead of rolling over into the next month
+  const year = y < 100 ? 2000 + y : y;
+  const dt = new Date(year, m - 1, d);
+  return dt.getFullYear() === year && dt.getMonth() === m - 1 && dt.getDate() === d ? dt : null;
+}
+
+function monthIndex(name) {
+  // Full names and three-letter abbreviations (with or without a dot), plus "Sept"
+  const t = name.toLowerCase().replace(/\.$/, "");
+  return MONTHS.findIndex((m) => m === t || m.slice(0, 3) === t || (t === "sept" && m === "september"));
+}
+
+export function parseDate(val, order = "auto") {
+  // order is how a numeric date whose year comes last is read: "MDY" (04/09/2025 = April 9), "DMY" (= 4 September)
+  // or "auto", which reads it as DMY only when the first number is over 12. detectDateOrder decides for a whole column
+  if (!val && val !== 0) return null;
+  if (val instanceof Date) return new Date(val.getFullYear(), val.getMonth(), val.getDate());
+  const s = String(val).trim().replace(/^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, "");
+  if (!s) return null;
+  // Excel serial day numbers, as left behind by a General-formatted cell
+  if (/^\d{5}(?:\.\d+)?$/.test(s) && Number(s) >= 20000 && Number(s) <= 80000) {
+    const dt = new Date(EXCEL_EPOCH + Math.floor(Number(s)) * 86400000);
+    return new Date(dt.getUTCFullYear(), dt.getUTCMonth(), dt.getUTCDate());
+  }
+  // 20250904 and ISO timestamps
+  let m = s.match(/^(\d{4})(\d{2})(\d{2})$/) || s.match(/^(\d{4})-(\d{2})-(\d{2})[T ]\d{1,2}:\d{2}/);
+  if (m) return makeDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = s.match(NUMERIC_DATE);
+  if (m) {
+    const [a, b, c] = [m[1], m[2], m[3]].map(Number);
+    if (m[1].length === 4 || (order === "YMD" && m[3].length <= 2)) return makeDate(a, b, c);
+    if (m[3].length === 3 || m[1].length === 3) return null;
+    const dmy = order === "DMY" || (order !== "MDY" && a > 12);
+    return dmy ? makeDate(c, b, a) : makeDate(c, a, b);
+  }
+  // 4-Sep-2025, 4 September 2025, Sep 4, 2025, September 4 2025
+  m = s.match(/^(\d{1,2})[-\s]([a-z]{3,9}\.?)[-\s,]+(\d{2}|\d{4})$/i);
+  if (m && monthIndex(m[2]) !== -1) return makeDate(Number(m[3]), monthIndex(m[2]) + 1, Number(m[1]));
+  m = s.match(/^([a-z]{3,9}\.?)[-\s](\d{1,2})(?:st|nd|rd|th)?,?[-\s]+(\d{4})$/i);
+  if (m && monthIndex(m[1]) !== -1) return makeDate(Number(m[3]), monthIndex(m[1]) + 1, Number(m[2]));
+  return null;
+}
+
+export function detectDateOrder(values) {
+  // Reads every numeric date in a column (or in meeting pattern text) and decides between MDY and DMY.
+  // A first number over 12 proves DMY, a second one over 12 proves MDY. Returns { order, ambiguous, conflicting, samples }:
+  // ambiguous when no date settles it (04/09/2025 only), conflicting when both kinds turn up. samples are the first
+  // dates that could be read either way, as { index, text } with index into values
+  let dmy = 0;
+  let mdy = 0;
+  const samples = [];
+  values.forEach((v, index) => {
+    if (v instanceof Date) return;
+    for (const [text, a, b] of String(v ?? "").matchAll(/(?<![\d/.-])(\d{1,2})[-/.](\d{1,2})[-/.](?:\d{4}|\d{2})(?![\d/.-])/g)) {
+      if (Number(a) > 12 && Number(b) <= 12) dmy++;
+      else if (Number(b) > 12 && Number(a) <= 12) mdy++;
+      else if (Number(a) !== Number(b) && samples.length < 3) samples.push({ index, text });
+    }
+  });
+  if (dmy || mdy) return { order: dmy >= mdy ? "DMY" : "MDY", ambiguous: false, conflicting: !!(dmy && mdy), samples };
+  return { order: "MDY", ambiguous: samples.length > 0, conflicting: false, samples };
+}
+
+export function parseTime(val) {
+  if (!val && val !== 0) return null;
+  let s = String(val).trim();
+  if (!s) return null;
+  // Excel sometimes stores times as HH:MM:SS, or 8:00 AM, or 8 AM, or 20:00, or as a fraction of a day (0.4375)
+  if (/^0?\.\d+$/.test(s)) {
+    const secs = Math.round(Number(s) * 86400);
+    return { h: Math.floor(secs / 3600), min: Math.floor(secs / 60) % 60, sec: secs % 60 };
+  }
+  // 2:00pm, 2 p.m., 14h30 (French), 14.30
+  s = s.toUpperCase().replace(/\s*([AP])\.?\s?M\.?$/, " $1M").replace(/^(\d{1,2})H(\d{2})?$/, (_, h, min) => `${h}:${min || "00"}`);
+  const m = s.match(/^(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*(AM|PM)?$/);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const sec = Number(m[3] || 0);
+  const ampm = m[4];
+  if (ampm && (h < 1 || h > 12)) return null;
+  if (ampm === "AM") { if (h === 12) h = 0; }
+  else if (ampm === "PM") { if (h < 12) h += 12; }
+  return h < 24 && min < 60 && sec < 60 ? { h, min, sec } : null;
+}
+
+export const DAY_LANGUAGES = ["auto", "en", "fr", "es", "de"];
+
+// Day names of each export language, Sunday first: full name, then abbreviations and the short codes timetables
+// run together ("LMJ", "MoMi"). Accents and case are ignored. French uses W for mercredi and Spanish X for miércoles,
+// so M is always Tuesday; German has no one-letter codes because M, D and S each start two days
+const DAY_NAMES = {
+  en: [["sunday", "sun", "su"], ["monday", "mon", "mo", "m"], ["tuesday", "tues", "tue", "tu", "t"], ["wednesday", "wed", "we", "w"],
+    ["thursday", "thurs", "thur", "thu", "th", "r"], ["friday", "fri", "fr", "f"], ["saturday", "sat", "sa"]],
+  fr: [["dimanche", "dim", "di", "d"], ["lundi", "lun", "lu", "l"], ["mardi", "mar", "ma", "m"], ["mercredi", "mer", "me", "w"],
+    ["jeudi", "jeu", "je", "j"], ["vendredi", "ven", "ve", "v"], ["samedi", "sam", "sa", "s"]],
+  es: [["domingo", "dom", "do", "d"], ["lunes", "lun", "lu", "l"], ["martes", "mar", "ma", "m"], ["miercoles", "mie", "mi", "x"],
+    ["jueves", "jue", "ju", "j"], ["viernes", "vie", "vi", "v"], ["sabado", "sab", "sa", "s"]],
+  de: [["sonntag", "so"], ["montag", "mo"], ["dienstag", "di"], ["mittwoch", "mi"], ["donnerstag", "do"], ["freitag", "fr"],
+    ["samstag", "sonnabend", "sa"]],
+};
+const DAY_CODES = Object.fromEntries(Object.entries(DAY_NAMES).map(([lang, names]) => [
+  lang,
+  new Map(names.flatMap((forms, day) => forms.flatMap((f, i) => (i ? [[f, day]] : [[f, day], [f + "s", day]])))),
+]));
+// "Mardi et jeudi", "Lunes y miércoles", "Mo und Mi"
+const DAY_CONNECTORS = new Set(["and", "et", "y", "und"]);
+
+function readDays(text, lang) {
+  // Strict reading in one language: every word must be a day name, an abbreviation or a run of short codes.
+  // -> the weekday numbers, or null when anything is left over
+  const codes = DAY_CODES[lang];
+  const runOf = (w) => {
+    // "lmmej" -> l, m, me, j; tries two-letter codes first and backs off when the rest does not read
+    if (!w) return [];
+    for (const n of [2, 1]) {
+      const day = w.length >= n ? codes.get(w.slice(0, n)) : undefined;
+      const rest = day !== undefined && runOf(w.slice(n));
+      if (rest) return [day, ...rest];
+    }
+    return null;
+  };
+  const words = String(text).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().split(/[\s,;&/\\|+.-]+/).filter((w) => w && !DAY_CONNECTORS.has(w));
+  const days = new Set();
+  for (const w of words) {
+    const found = codes.has(w) ? [codes.get(w)] : /^[a-z]+$/.test(w) ? runOf(w) : null;
+    if (!found) return null;
+    found.forEach((d) => days.add(d));
+  }
+  return days.size ? days : null;
+}
+
+export function detectDayLanguage(values) {
+  // The export language whose day names read the most cells (or meeting pattern parts) in full. English wins ties,
+  // so MWF or "Sa" never move a column away from it; parts with digits are times, dates or rooms and are skipped.
+  // Other languages that tie must also agree on every day ("Lu Ma" is the same in French and Spanish); when they do
+  // not ("Di" is Sunday in French, Tuesday in German) the answer is English, which leaves such cells unread
+  const readings = Object.fromEntries(Object.keys(DAY_NAMES).map((lang) => [lang, []]));
+  for (const v of values) {
+    if (v instanceof Date) continue;
+    for (const part of String(v ?? "").split(/\r?\n|\r|\|/)) {
+      const text = splitWeeks(part).rest;
+      if (!text || /\d/.test(text)) continue;
+      for (const lang of Object.keys(readings)) {
+        const days = readDays(text, lang);
+        readings[lang].push(days && [...days].sort().join());
+      }
+    }
+  }
+  const count = (lang) => readings[lang].filter(Boolean).length;
+  const best = Math.max(...Object.keys(readings).map(count));
+  const top = Object.keys(readings).filter((lang) => count(lang) === best);
+  if (!best || top.includes("en")) return "en";
+  const same = top.every((lang) => readings[lang].every((r, i) => r === readings[top[0]][i]));
+  return same ? top[0] : "en";
+}
+
+export function parseDays(val, language = "auto") {
+  // language is one of DAY_LANGUAGES; "auto" picks it for this cell alone, which is only safe where the cell says it
+  // (callers that have a column should pass detectDayLanguage's answer for all of it).
+  // Other languages only accept cells they read in full. English does too when it can (TTh, MTWRF), and otherwise
+  // falls back to the lenient reading below
+  const set = new Set();
+  if (!val && val !== 0) return set;
+  let s = String(val).trim();
+  if (!s) return set;
+  const lang = language === "auto" ? detectDayLanguage([s]) : language;
+  const strict = DAY_NAMES[lang] ? readDays(splitWeeks(s).rest, lang) : null;
+  if (strict || (lang !== "en" && DAY_NAMES[lang])) return strict || set;
+  s = splitWeeks(s).rest.toUpperCase();
+  // Normalize common words to tokens
+  const rep = [
+    [/THURSDAYS?/, "R"], [/THURS?\b/, "R"], [/THU\b/, "R"], [/\bTH\b/, "R"],
+    [/TUESDAYS?/, "TU"], [/TUES?\b/, "TU"], [/\bTUE\b/, "TU"], [/\bTU\b/, "TU"],
+    [/MONDAYS?/, "MO"], [/\bMON\b/, "MO"], [/\bMO\b/, "MO"],
+    [/WEDNESDAYS?/, "WE"], [/\bWED\b/, "WE"], [/\bWE\b/, "WE"],
+    [/FRIDAYS?/, "FR"], [/\bFRI\b/, "FR"], [/\bFR\b/, "FR"],
+    [/SATURDAYS?/, "SA"], [/\bSAT\b/, "SA"], [/\bSA\b/, "SA"],
+    [/SUNDAYS?/, "SU"], [/\bSUN\b/, "SU"], [/\bSU\b/, "SU"],
+  ];
+  for (const [pattern, token] of rep) s = s.replace(pattern, token);
+  // Replace separators with space
+  s = s.replace(/[,&/\\|]+/g, " ").replace(/\s+/g, " ").trim();
+  const tokens = new Set();
+  if (s === "FR") {
+    // A lone "Fri" would otherwise read as F + R (Thursday)
+    tokens.add("FR");
+  } else if (!s.includes(" ")) {
+    // Possibly concatenated like MWF or MTWRF
+    for (let i=0; i<s.length; i++) {
+      const c = s[i];
+      if (c === 'T') {
+        // could be TU or R will be separate
+        if (s.slice(i, i+2) === 'TU') { tokens.add('TU'); i++; continue; }
+      }
+      if (c === 'R') { tokens.add('R'); continue; }
+      if (c === 'M') { tokens.add('MO'); continue; }
+      if (c === 'W') { tokens.add('WE'); continue; }
+      if (c === 'F') { tokens.add('FR'); continue; }
+      if (c === 'S') {
+        // try SA or SU
+        if (s.slice(i, i+2) === 'SA') { tokens.add('SA'); i++; continue; }
+        if (s.slice(i, i+2) === 'SU') { tokens.add('SU'); i++; continue; }
+      }
+    }
+  } else {
+    s.split(" ").forEach(tok => {
+      tok = tok.trim(); if (!tok) return;
+      if (tok === 'M') tok = 'MO';
+      if (tok === 'T') tok = 'TU';
+      if (tok === 'W') tok = 'WE';
+      if (tok === 'TH') tok = 'R';
+      if (tok === 'F') tok = 'FR';
+      if (tok === 'R') tok = 'R';
+      tokens.add(tok);
+    });
+  }
+  for (const t of tokens) {
+    switch (t) {
+      case 'MO': set.add(1); break;
+      case 'TU': set.add(2); break;
+      case 'WE': set.add(3); break;
+      case 'R': set.add(4); break; // Thursday
+      case 'FR': set.add(5); break;
+      case 'SA': set.add(6); break;
+      case 'SU': set.add(0); break;
+    }
+  }
+  return set;
+}
+
+// Week patterns, most specific first. Weeks are counted from the week (Monday to Sunday) the section starts in.
+// "Alternate weeks" does not say which week comes first, so it is flagged ambiguous and assumed to be week 1
+const WEEK_PATTERNS = [
+  [/\b(?:weeks?|wks?)\.?\s*(\d{1,2}(?:\s*(?:[-–,&]|and)\s*\d{1,2})*)\b/i, (m) => weekList(m[1])],
+  [/\b(odd|even)(?:[- ]numbered)?\s+weeks?\b/i, (m) => ({ interval: 2, start: /odd/i.test(m[1]) ? 1 : 2 })],
+  [/(?:\(A\)|\bA\b)\s*\/\s*(?:\(B\)|\bB\b)\s*weeks?\b/i, () => ({ interval: 2, start: 1, ambiguous: true })],
+  [/\(([AB])\)|\bweek\s+([AB])\b|\b([AB])[- ]weeks?\b/i, (m) => ({ interval: 2, start: /a/i.test(m[1] || m[2] || m[3]) ? 1 : 2 })],
+  [/\b(?:every\s+(?:other|second|2nd)\s+week|alternat(?:e|ing)\s+weeks?|bi-?weekly|fortnightly)\b/i, () => ({ interval: 2, start: 1, ambiguous: true })],
+  [/\b(?:every\s+week|weekly)\b/i, () => ({ interval: 1, start: 1 })],
+];
+
+function weekList(text) {
+  const list = new Set();
+  for (const part of text.split(/\s*(?:,|&|and)\s*/i)) {
+    const [a, b = a] = part.split(/\s*[-–]\s*/).map(Number);
+    if (!(a >= 1 && b >= a && b <= 60)) return null;
+    for (let n = a; n <= b; n++) list.add(n);
+  }
+  return { list: [...list].sort((x, y) => x - y) };
+}
+
+export function splitWeeks(val) {
+  // { weeks, rest }: the week pattern found in a cell (or null) and the text around it
+  const s = String(val ?? "");
+  for (const [pattern, read] of WEEK_PATTERNS) {
+    const m = s.match(pattern);
+    const weeks = m && read(m);
+    if (!weeks) continue;
+    // "Thu (Alternate Weeks)": brackets around the note go with it
+    let from = m.index;
+    let to = m.index + m[0].length;
+    const open = s.slice(0, from).match(/[([]\s*$/);
+    const close = s.slice(to).match(/^\s*[)\]]/);
+    if (open && close) { from -= open[0].length; to += close[0].length; }
+    return { weeks, rest: (s.slice(0, from) + " " + s.slice(to)).replace(/\s+/g, " ").trim() };
+  }
+  return { weeks: null, rest: s.trim() };
+}
+
+export function parseWeeks(val) {
+  // A whole cell (or per-row override) naming a week pattern, e.g. "Even weeks" or "Weeks 2, 4, 6"
+  const { weeks, rest } = splitWeeks(val);
+  return weeks && !/[a-z0-9]/i.test(rest) ? weeks : null;
+}
+
+export function describeWeeks(weeks) {
+  // Inverse of parseWeeks, for labels and UID keys
+  if (weeks.list) {
+    const runs = [];
+    for (const n of weeks.list) {
+      const last = runs[runs.length - 1];
+      if (last && n === last[1] + 1) last[1] = n;
+      else runs.push([n, n]);
+    }
+    return `Week${weeks.list.length > 1 ? "s" : ""} ${runs.map(([a, b]) => (a === b ? a : `${a}-${b}`)).join(", ")}`;
+  }
+  if (weeks.interval === 1) return "Every week";
+  return weeks.start % 2 ? "Odd weeks" : "Even weeks";
+}
+
+export function parseMeetingPatterns(val, order = "auto", language = "auto") {
+  // Workday "Meeting Patterns" cells: one pattern per line, parts separated by "|", e.g.
+  //   Mon/Wed/Fri | 10:00 AM - 10:50 AM | ANGU-098
+  //   2025-09-03 - 2025-12-05 | Tue Thu | 2:00 PM - 3:20 PM | Room 201
+  //   Mon (A) | 2:00 PM - 4:50 PM | LAB-110
+  //   2025-12-12 9:00 AM - 11:30 AM | OSBO A (a single date, as in exam reports)
+  // language should be settled for the whole column (see meetingPatternDays); "auto" settles it for this cell alone
+  const lines = patternLines(val);
+  const lang = language === "auto" ? detectDayLanguage(lines.map((ln) => readMeetingPattern(ln, order, null).daysPart)) : language;
+  return lines.map((ln) => readMeetingPattern(ln, order, lang).pattern);
+}
+
+export function meetingPatternDays(val, order = "auto") {
+  // The days part of each pattern in a cell ("Tue/Thu", never the room), for detectDayLanguage over a column
+  return patternLines(val).map((ln) => readMeetingPattern(ln, order, null).daysPart).filter(Boolean);
+}
+
+function patternLines(val) {
+  if (!val && val !== 0) return [];
+  return String(val).split(/\r?\n|\r/).map((ln) => ln.trim()).filter(Boolean);
+}
+
+function readMeetingPattern(line, order, language) {
+  // -> { pattern, daysPart }. The days part is the first part that reads as day names in any language; it is read in
+  // language (when given) and later parts are never taken for days, so a room called "X" or "Di" stays the room
+  const out = { raw: line };
+  const rest = [];
+  let daysPart = "";
+  for (let part of line.split("|").map((x) => x.trim()).filter(Boolean)) {
+    if (!out.weeks) {
+      // "Alternate Weeks" may be a part of its own or ride along with the days or the room
+      const { weeks, rest: around } = splitWeeks(part);
+      if (weeks) { out.weeks = weeks; part = around; }
+      if (!part) continue;
+    }
+    const times = splitRange(part, true);
+    if (!out.startTime && times) {
+      const a = parseTime(times[0]);
+      const b = parseTime(times[1]);
+      if (a && b) { out.startTime = a; out.endTime = b; continue; }
+    }
+    const dates = splitRange(part, false);
+    if (!out.startDate && dates) {
+      const a = parseDate(dates[0], order);
+      const b = parseDate(dates[1], order);
+      if (a && b) { out.startDate = a; out.endDate = b; continue; }
+    }
+    if (!out.startDate && looksLikeDate(part, order)) { out.startDate = out.endDate = parseDate(part, order); continue; }
+    const when = !out.startDate && !out.startTime ? splitDateTimes(part, order) : null;
+    if (when) { Object.assign(out, when); continue; }
+    if (!daysPart && looksLikeDays(part)) {
+      daysPart = part;
+      // Day names this language does not read leave the pattern without days, which the conversion reports
+      const days = language && parseDays(part, language);
+      if (days?.size) out.days = days;
+      continue;
+    }
+    rest.push(part);
+  }
+  // Whatever is left over (room, building) is the location
+  if (rest.length) out.location = rest.join(", ");
+  return { pattern: out, daysPart };
+}
+
+function splitDateTimes(s, order) {
+  // "2025-12-12 9:00 AM - 11:30 AM": a date followed by a time range in one part
+  const words = s.split(/\s+/);
+  for (let k = 1; k < words.length; k++) {
+    const date = words.slice(0, k).join(" ");
+    if (!looksLikeDate(date, order)) continue;
+    const times = splitRange(words.slice(k).join(" "), true);
+    const a = times && parseTime(times[0]);
+    const b = times && parseTime(times[1]);
+    if (a && b) return { startDate: parseDate(date, order), endDate: parseDate(date, order), startTime: a, endTime: b };
+  }
+  return null;
+}
+
+export function splitRange(s, allowBareHyphen) {
+  // Dates like 2025-09-03 contain hyphens, so only times may be split on a bare "-"
+  let m = s.match(/^(.+?)\s+(?:-|–|—|to)\s+(.+)$/i) || s.match(/^(.+?)\s*[–—]\s*(.+)$/);
+  if (!m && allowBareHyphen) m = s.match(/^([^-]+)-([^-]+)$/);
+  return m ? [m[1].trim(), m[2].trim()] : null;
+}
+
+function looksLikeDays(s) {
+  // Only a part that reads as day names in full in some language, so rooms such as "Hum" or "Muh" stay part of the location
+  const text = splitWeeks(String(s).trim()).rest;
+  return Object.keys(DAY_NAMES).some((lang) => readDays(text, lang));
+}
+
+export function looksLikeDate(s, order = "auto") {
+  // Stricter than parseDate: only whole-cell date shapes, so room numbers and Excel serials are not taken for dates
+  const t = String(s || "").trim();
+  return (
+    /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(t) ||
+    /^\d{1,2}[/.]\d{1,2}[/.]\d{2,4}$/.test(t) ||
+    /^[a-z]{3,9}\.? \d{1,2},? \d{4}$/i.test(t) ||
+    /^\d{1,2}[- ][a-z]{3,9}[- ]\d{4}$/i.test(t)
+  ) && !!parseDate(t, order);
+}
@@ -0,0 +1,48 @@
+/**
+ * Mapping profiles: a named column mapping plus the settings that go with it.
+ * The app keeps them in localStorage and shares them as JSON files; the CLI's
+ * --map option reads the same files.
+ */
+
+const PROFILE_OPTIONS = ["mappingMode", "titleTemplate", "locationTemplate", "descriptionTemplate", "calendarName", "timezone", "timeMode", "exportMode", "dateOrder", "dayLanguage"];
+
+export function makeProfile(name, headers, mapping, options = {}) {
+  // Empty mappings are kept on purpose, so applying the profile also clears fields a guess would fill
+  const profile = {
+    name,
+    headers: [...headers],
+    mapping: Object.fromEntries(Object.entries(mapping).filter(([k, v]) => k.endsWith("Field") && typeof v === "string")),
+  };
+  for (const k of PROFILE_OPTIONS) if (typeof options[k] === "string") profile[k] = options[k];
+  return profile;
+}
+
+export function normalizeProfile(json) {
+  // Accepts a profile or a bare { startDateField: "Start Date", ... } mapping; throws on anything else
+  if (!json || typeof json !== "object" || Array.isArray(json)) throw new Error("Expected a JSON object");
+  const { mapping, ...rest } = json.mapping ? json : { mapping: json };
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) throw new Error("\"mapping\" must be an object");
+  const profile = makeProfile(
+    String(rest.name || "Imported profile"),
+    Array.isArray(rest.headers) ? rest.headers.map(String) : Object.values(mapping).filter((v) => typeof v === "string" && v),
+    mapping,
+    rest,
+  );
+  if (!Object.values(profile.mapping).some(Boolean)) throw new Error("The profile does not map any columns");
+  return profile;
+}
+
+export function matchProfile(profiles, headers) {
+  // Best profile whose mapped columns all exist in headers, ranked by how much of the header row it shares
+  const have = new Set(headers);
+  let best = null;
+  let bestScore = 0;
+  for (const p of profiles) {
+    const used = Object.values(p.mapping).filter(Boolean);
+    if (!used.length || !used.every((h) => have.has(h))) continue;
+    const shared = p.headers.filter((h) => have.has(h)).length;
+    const score = shared / new Set([...p.headers, ...headers]).size;
+    if (score > bestScore) { best = p; bestScore = score; }
+  }
+  return best;
+}
@@ -0,0 +1,67 @@
+/**
+ * The whole build behind the app's Generate button: every file, the exam
+ * report, the merge and the conflict check. It only takes plain data, so it
+ * runs the same in a Web Worker as on the main thread.
+ */
+import { findConflicts, parseBusyEvents } from "./conflicts.js";
+import { buildEvents } from "./convert.js";
+import { mergeSources } from "./merge.js";
+
+export function buildSchedule({ sources, exams = null, options = {}, busy = null }, onProgress = () => {}) {
+  // sources: [{ name, rows, mapped, mappingMode, titleTemplate, locationTemplate, descriptionTemplate, dateOrder, dayLanguage,
+  // weekOverrides }]
+  // exams: { rows, mapped, titleTemplate } | null; busy: { text, zone } from a personal calendar | null.
+  // onProgress(stage, done, total) is called before each step.
+  // -> { events, issues, occurrenceCount, removedCount, duplicates, conflicts, busySkipped }; conflicts are only
+  // looked for when there are events. Mapping problems throw, prefixed with the file name when there are several files
+  const steps = sources.length + (exams ? 1 : 0) + 2;
+  let step = 0;
+  const progress = (stage) => onProgress(stage, step++, steps);
+
+  const builds = sources.map((x) => {
+    progress(sources.length > 1 ? `Building events from ${x.name}` : "Building events");
+    try {
+      return {
+        name: x.name,
+        ...buildEvents(x.rows, x.mapped, {
+          ...options,
+          mappingMode: x.mappingMode,
+          titleTemplate: x.titleTemplate,
+          locationTemplate: x.locationTemplate,
+          descriptionTemplate: x.descriptionTemplate,
+          dateOrder: x.dateOrder,
+          dayLanguage: x.dayLanguage,
+          weekOverrides: x.weekOverrides,
+        }),
+      };
+    } catch (e) {
+      throw new Error(sources.length > 1 ? `${x.name}: ${e.message}` : e.message);
+    }
+  });
+  progress("Merging files");
+  const built = mergeSources(builds);
+  // Exams are built from their own sheet and mapping, then merged; their series and issues carry source "exam"
+  if (exams) progress("Adding exams");
+  const examBuilt = exams
+    ? buildEvents(exams.rows, exams.mapped, { ...options, mappingMode: "exam", source: "exam", titleTemplate: exams.titleTemplate, locationTemplate: "{Location}", descriptionTemplate: "{Description}", weekOverrides: {} })
+    : { events: [], issues: [], occurrenceCount: 0, removedCount: 0 };
+  const events = [...built.events, ...examBuilt.events];
+  const result = {
+    events,
+    issues: [...built.issues, ...examBuilt.issues],
+    occurrenceCount: built.occurrenceCount + examBuilt.occurrenceCount,
+    removedCount: built.removedCount + examBuilt.removedCount,
+    duplicates: built.duplicates,
+    conflicts: [],
+    busySkipped: 0,
+  };
+  if (!events.length) return result;
+
+  progress("Checking for conflicts");
+  // Busy times are read in the schedule's zone and only as far as the last class
+  const horizon = new Date(Math.max(...events.map((ev) => ev.rrule?.until || ev.rdates?.[ev.rdates.length - 1] || ev.dtEnd)));
+  const parsed = busy ? parseBusyEvents(busy.text, busy.zone, horizon) : null;
+  result.conflicts = findConflicts(events, parsed?.events);
+  result.busySkipped = parsed?.skipped || 0;
+  return result;
+}
@@ -0,0 +1,231 @@
+/**
+ * Turning a CSV file or a workbook sheet into header-keyed rows. Workday
+ * exports put report titles above the column headers and totals below the
+ * data, so the header row is detected rather than assumed.
+ */
+import * as XLSX from "xlsx";
+
+export function parseCSV(text) {
+  const matrix = parseCSVRows(text);
+  const { data, hdrs } = tableFromMatrix(matrix, detectHeaderRow(matrix));
+  return { data, hdrs };
+}
+
+export function parseCSVRows(text) {
+  return [...csvRows(text)];
+}
+
+export function* csvRows(text) {
+  // Simple CSV parser that handles commas, quotes, and newlines; yields each row as soon as it ends
+  let i = 0; let cur = []; let field = ""; let inQuotes = false;
+  const pushField = () => { cur.push(field); field = ""; };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i+1] === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else { field += ch; }
+    } else {
+      if (ch === '"') { inQuotes = true; }
+      else if (ch === ',') { pushField(); }
+      else if (ch === '\n') { pushField(); yield cur; cur = []; }
+      else if (ch === '\r') { /* ignore */ }
+      else { field += ch; }
+    }
+    i++;
+  }
+  // last field
+  pushField();
+  // if last row not pushed
+  if (cur.length) yield cur;
+}
+
+export function toCSV(headers, rows) {
+  // The reverse of parseCSV: a header line, then one line per row. Fields with commas, quotes or line breaks are quoted
+  const field = (v) => {
+    const t = String(v ?? "");
+    return /[",\r\n]/.test(t) || t !== t.trim() ? `"${t.replace(/"/g, '""')}"` : t;
+  };
+  return [headers, ...rows.map((r) => headers.map((h) => r[h]))].map((r) => r.map(field).join(",")).join("\r\n") + "\r\n";
+}
+
+export function sheetMatrix(wb, name) {
+  // Every row of the sheet, blank ones included, so indices line up with sheet row numbers (after offset)
+  const ws = wb.Sheets[name];
+  const matrix = XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: false, blankrows: true });
+  const offset = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]).s.r : 0;
+  return { name, matrix, offset };
+}
+
+// Column names seen in Workday schedule exports, used to find the header row under report titles
+const WORKDAY_HEADERS = [
+  "course listing", "course", "section", "instructional format", "delivery mode", "meeting patterns",
+  "registration status", "enrollment status", "instructor", "credits", "grading basis", "academic period",
+  "start date", "end date", "start time", "end time", "days", "location", "room", "component", "title", "subject",
+];
+
+function headerCellScore(row) {
+  const cells = (row || []).map((x) => String(x ?? "").trim().toLowerCase()).filter(Boolean);
+  const known = cells.filter((c) => c.length <= 40 && WORKDAY_HEADERS.some((k) => c.includes(k))).length;
+  return known ? known * 2 + (cells.length >= 3 ? 1 : 0) : 0;
+}
+
+export function headerScore(matrix) {
+  return Math.max(0, ...matrix.slice(0, 50).map(headerCellScore));
+}
+
+export function detectHeaderRow(matrix) {
+  const limit = Math.min(matrix.length, 50);
+  let best = -1;
+  let bestScore = 0;
+  for (let i = 0; i < limit; i++) {
+    const score = headerCellScore(matrix[i]);
+    if (score > bestScore) { best = i; bestScore = score; }
+  }
+  if (best !== -1) return best;
+  // Nothing recognisable: first row that is at least half as wide as the widest one
+  const filled = (r) => (r || []).filter((x) => String(x ?? "").trim() !== "").length;
+  const width = Math.max(0, ...matrix.slice(0, limit).map(filled));
+  return Math.max(0, matrix.findIndex((r) => filled(r) >= Math.max(1, width / 2)));
+}
+
+function isFooterRow(row, width) {
+  const cells = (row || []).map((x) => String(x ?? "").trim()).filter(Boolean);
+  if (!cells.length) return true;
+  if (/^(?:grand\s+)?totals?\b|^count\b|^\d+\s+(?:items?|rows?|records?)\b|^(?:generated|printed|run)\s+(?:on|by|at)\b|^page\s+\d+/i.test(cells[0])) return true;
+  // A lone note under a wide table ("Confidential", a timestamp)
+  return width >= 4 && cells.length === 1;
+}
+
+function headerKeys(row) {
+  const raw = (row || []).map((h) => String(h ?? "").trim());
+  while (raw.length && !raw[raw.length - 1]) raw.pop();
+  // Blank or repeated header cells still need distinct keys
+  const seen = new Map();
+  return raw.map((h, i) => {
+    const name = h || `Column ${i + 1}`;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n > 1 ? `${name} (${n})` : name;
+  });
+}
+
+const isBlankRow = (r) => !r.some((x) => String(x ?? "").trim() !== "");
+
+export function tableFromMatrix(matrix, headerIdx) {
+  const hdrs = headerKeys(matrix[headerIdx]);
+  const body = matrix.slice(headerIdx + 1).filter((r) => !isBlankRow(r));
+  let trimmed = 0;
+  while (body.length && isFooterRow(body[body.length - 1], hdrs.length)) { body.pop(); trimmed++; }
+  const data = body.map((r) => Object.fromEntries(hdrs.map((h, idx) => [h, r[idx] ?? ""])));
+  return { data, hdrs, trimmed };
+}
+
+export async function openSheets(file) {
+  // Every sheet of a workbook, or the single "sheet" of a CSV, as { name, offset, size, slices(n) }. slices(n) yields the
+  // rows sheetMatrix would return, n at a time and converted only as they are asked for, so a large sheet can be used
+  // before all of it is read. size is the number of rows, or 0 for a CSV, which is only counted by reading it
+  const ext = (file.name.split(".").pop() || "").toLowerCase();
+  if (ext === "xlsx" || ext === "xls") {
+    const wb = XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+    return wb.SheetNames.map((name) => {
+      const ws = wb.Sheets[name];
+      const range = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]) : null;
+      return { name, offset: range ? range.s.r : 0, size: range ? range.e.r - range.s.r + 1 : 0, slices: (n) => sheetSlices(ws, range, n) };
+    });
+  }
+  if (ext === "csv") {
+    const text = await file.text();
+    return [{ name: "CSV", offset: 0, size: 0, slices: (n) => inSlices(csvRows(text), n) }];
+  }
+  throw new Error("Please upload an .xlsx or .csv file");
+}
+
+function* sheetSlices(ws, range, n) {
+  for (let r = range ? range.s.r : 0; range && r <= range.e.r; r += n) {
+    const slice = { s: { r, c: range.s.c }, e: { r: Math.min(r + n - 1, range.e.r), c: range.e.c } };
+    yield XLSX.utils.sheet_to_json(ws, { header: 1, defval: "", raw: false, blankrows: true, range: slice });
+  }
+}
+
+function* inSlices(rows, n) {
+  let slice = [];
+  for (const row of rows) {
+    slice.push(row);
+    if (slice.length === n) { yield slice; slice = []; }
+  }
+  if (slice.length) yield slice;
+}
+
+export async function readSheets(file) {
+  // Every sheet read in full, as { name, matrix, offset }. file is a File or Blob with a name
+  return (await openSheets(file)).map(({ name, offset, slices }) => ({ name, offset, matrix: [...slices(5000)].flat() }));
+}
+
+export function bestSheet(sheets) {
+  // The sheet that looks most like a schedule, not necessarily the first
+  return sheets.reduce((a, b) => (headerScore(b.matrix) > headerScore(a.matrix) ? b : a), sheets[0]);
+}
+
+export function readSheetTable(sheet, override) {
+  // Rows under the detected header row, or under the 1-based sheet row in override
+  const headerIdx = override ? Number(override) - 1 - sheet.offset : detectHeaderRow(sheet.matrix);
+  if (!(headerIdx >= 0 && headerIdx < sheet.matrix.length)) throw new Error(`Row ${override} is outside the sheet`);
+  const { data, hdrs, trimmed } = tableFromMatrix(sheet.matrix, headerIdx);
+  if (!data.length) throw new Error("No rows detected");
+  const headerRow = headerIdx + 1 + sheet.offset;
+  return { rows: data, headers: hdrs, headerRow, message: loadedMessage(sheet, data.length, headerRow, trimmed) };
+}
+
+function loadedMessage(sheet, count, headerRow, trimmed) {
+  const from = sheet.name === "CSV" ? "CSV" : `sheet "${sheet.name}"`;
+  return `Loaded ${count} rows from ${from}, header on row ${headerRow}.${trimmed ? ` Ignored ${trimmed} footer rows.` : ""}`;
+}
+
+export function streamSheetTable(sheet, n, onRows, override = "") {
+  // readSheetTable for a sheet from openSheets: the header row (detected in the first 50 rows, or the 1-based sheet row
+  // in override) is found first, then onRows(rows, headers, sheetRowsRead) gets the rows of every slice as it is read.
+  // Rows that look like a footer are held back until a data row follows them. Rows already sent are not kept.
+  // -> the rest of what readSheetTable returns
+  const wanted = override ? Number(override) - 1 - sheet.offset : -1;
+  if (override && !(wanted >= 0)) throw new Error(`Row ${override} is outside the sheet`);
+  let buffer = []; // rows not handled yet: the top of the sheet until the header row is known, then one slice
+  let read = 0;
+  let hdrs = null;
+  let headerIdx = 0;
+  let held = [];
+  let count = 0;
+  const take = (last) => {
+    if (!hdrs) {
+      const known = override ? buffer.length > wanted : buffer.length >= 50 || last;
+      if (!known) {
+        if (last) throw new Error(`Row ${override} is outside the sheet`);
+        return;
+      }
+      headerIdx = override ? wanted : detectHeaderRow(buffer);
+      hdrs = headerKeys(buffer[headerIdx]);
+      buffer = buffer.slice(headerIdx + 1);
+    }
+    const out = [];
+    for (const r of buffer) {
+      if (isBlankRow(r)) continue;
+      if (isFooterRow(r, hdrs.length)) { held.push(r); continue; }
+      out.push(...held, r);
+      held = [];
+    }
+    buffer = [];
+    if (!out.length) return;
+    count += out.length;
+    onRows(out.map((r) => Object.fromEntries(hdrs.map((h, idx) => [h, r[idx] ?? ""]))), hdrs, read);
+  };
+  for (const slice of sheet.slices(n)) {
+    buffer.push(...slice);
+    read += slice.length;
+    take(false);
+  }
+  take(true);
+  if (!count) throw new Error("No rows detected");
+  const headerRow = headerIdx + 1 + sheet.offset;
+  return { headers: hdrs, headerRow, message: loadedMessage(sheet, count, headerRow, held.length) };
+}
@@ -0,0 +1,154 @@
+/**
+ * Templates for SUMMARY, LOCATION and DESCRIPTION.
+ *
+ *   {Instructor Name}          any column, by header (case does not matter)
+ *   {Title|Course|"Class"}     first non-empty value; quoted text is a literal
+ *   {Course Title:upper:truncate(30)}
+ *                              transforms: upper, lower, title, trim, truncate(n), extract(/regex/)
+ *   {Course}[ - {Section}]     text in [...] is dropped when any token inside is empty
+ *   \{ \} \[ \] \| \n          literal characters and a line break
+ */
+
+// Built-in names that follow the column mapping rather than a header of the same name
+export const TEMPLATE_FIELDS = {
+  course: "courseField",
+  component: "componentField",
+  section: "sectionField",
+  title: "titleField",
+  location: "locationField",
+  description: "descField",
+};
+
+const TRANSFORMS = {
+  upper: () => (v) => v.toUpperCase(),
+  lower: () => (v) => v.toLowerCase(),
+  title: () => (v) => v.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (_, a, b) => a + b.toUpperCase()),
+  trim: () => (v) => v.trim(),
+  truncate: (arg) => {
+    const n = Number(arg);
+    if (!(Number.isInteger(n) && n > 0)) throw new Error(`truncate needs a length, e.g. truncate(20), not "${arg ?? ""}"`);
+    return (v) => (v.length > n ? v.slice(0, n - 1).trimEnd() + "…" : v);
+  },
+  extract: (arg) => {
+    if (!arg) throw new Error("extract needs a pattern, e.g. extract(/L\\d+/)");
+    const m = arg.match(/^\/(.*)\/([a-z]*)$/s);
+    let re;
+    try {
+      re = new RegExp(m ? m[1] : arg, m ? m[2].replace("g", "") : "");
+    } catch (e) {
+      throw new Error(`extract has an invalid pattern: ${e.message}`);
+    }
+    // The first capture group if there is one, else the whole match
+    return (v) => { const x = v.match(re); return x ? (x[1] ?? x[0]) : ""; };
+  },
+};
+
+export function compileTemplate(text, headers = []) {
+  // -> { nodes, errors }. Unknown columns and syntax mistakes are errors, never left in the output
+  const s = String(text ?? "");
+  const known = new Set(headers.map((h) => String(h).trim().toLowerCase()));
+  const errors = [];
+  let i = 0;
+
+  const parseToken = () => {
+    // At "{": read to the matching "}", ignoring braces inside transform arguments such as extract(/\d{3}/)
+    const from = i++;
+    let depth = 0;
+    let body = "";
+    while (i < s.length && !(s[i] === "}" && !depth)) {
+      if (s[i] === "\\" && i + 1 < s.length) { body += s[i] + s[i + 1]; i += 2; continue; }
+      if (s[i] === "(") depth++;
+      if (s[i] === ")") depth = Math.max(0, depth - 1);
+      body += s[i++];
+    }
+    if (i >= s.length) { errors.push(`Unclosed token "${s.slice(from)}"`); return null; }
+    i++;
+    const raw = `{${body}}`;
+    const [names, ...steps] = splitTop(body, ":");
+    const options = splitTop(names, "|").map((x) => x.trim().replace(/\\(.)/g, "$1"));
+    if (options.some((x) => !x)) { errors.push(`Empty name in ${raw}`); return null; }
+    const choices = [];
+    for (const name of options) {
+      const literal = name.match(/^"(.*)"$/s);
+      if (literal) { choices.push({ literal: literal[1] }); continue; }
+      const key = name.toLowerCase();
+      if (!TEMPLATE_FIELDS[key] && !known.has(key)) errors.push(`Unknown column "${name}" in ${raw}`);
+      choices.push({ name: key });
+    }
+    const transforms = [];
+    for (const step of steps) {
+      const m = step.trim().match(/^(\w+)(?:\((.*)\))?$/s);
+      const make = m && TRANSFORMS[m[1].toLowerCase()];
+      if (!make) { errors.push(`Unknown transform "${step.trim()}" in ${raw}`); continue; }
+      try {
+        transforms.push(make(m[2]));
+      } catch (e) {
+        errors.push(`${e.message} in ${raw}`);
+      }
+    }
+    return { choices, transforms };
+  };
+
+  const parseSeq = (end) => {
+    const nodes = [];
+    let lit = "";
+    const flush = () => { if (lit) nodes.push(lit); lit = ""; };
+    while (i < s.length && s[i] !== end) {
+      const c = s[i];
+      if (c === "\\" && i + 1 < s.length) { lit += s[i + 1] === "n" ? "\n" : s[i + 1]; i += 2; continue; }
+      if (c === "{") { flush(); const t = parseToken(); if (t) nodes.push(t); continue; }
+      if (c === "[") {
+        flush();
+        const from = i++;
+        const inner = parseSeq("]");
+        if (s[i] === "]") { i++; nodes.push({ optional: inner }); } else errors.push(`Unclosed "[" in "${s.slice(from)}"`);
+        continue;
+      }
+      if (c === "}" || c === "]") errors.push(`Unexpected "${c}" at position ${i + 1}`);
+      else lit += c;
+      i++;
+    }
+    flush();
+    return nodes;
+  };
+
+  const nodes = parseSeq(null);
+  return { nodes, errors };
+}
+
+function splitTop(s, sep) {
+  // Split on sep outside parentheses, honouring backslash escapes
+  const out = [""];
+  let depth = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "\\" && i + 1 < s.length) { out[out.length - 1] += c + s[++i]; continue; }
+    if (c === "(") depth++;
+    if (c === ")") depth = Math.max(0, depth - 1);
+    if (c === sep && !depth) out.push("");
+    else out[out.length - 1] += c;
+  }
+  return out;
+}
+
+export function renderTemplate(template, lookup) {
+  // lookup(name) gives a token's raw value by lower-case name; returns the rendered text
+  const render = (nodes) => {
+    let text = "";
+    let missing = false;
+    for (const node of nodes) {
+      if (typeof node === "string") { text += node; continue; }
+      if (node.optional) { const inner = render(node.optional); if (!inner.missing) text += inner.text; continue; }
+      let value = "";
+      for (const c of node.choices) {
+        value = c.literal ?? String(lookup(c.name) ?? "").trim();
+        if (value) break;
+      }
+      for (const t of node.transforms) value = value && t(value);
+      if (!value) missing = true;
+      text += value;
+    }
+    return { text, missing };
+  };
+  return render(template.nodes).text;
+}
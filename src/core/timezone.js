@@ -0,0 +1,80 @@
+/**
+ * IANA timezone helpers built on Intl, so no timezone database has to be bundled.
+ */
+
+export function listTimeZones() {
+  try {
+    const zones = Intl.supportedValuesOf("timeZone");
+    return zones.includes("UTC") ? zones : [...zones, "UTC"];
+  } catch {
+    // Older browsers without Intl.supportedValuesOf
+    return ["America/Vancouver", "America/Edmonton", "America/Winnipeg", "America/Toronto", "America/Halifax", "America/St_Johns", "America/Los_Angeles", "America/Denver", "America/Chicago", "America/New_York", "Europe/London", "Europe/Paris", "Asia/Tokyo", "Australia/Sydney", "UTC"];
+  }
+}
+
+export function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try { new Intl.DateTimeFormat("en-US", { timeZone: zone }); return true; } catch { return false; }
+}
+
+const tzFormatters = new Map();
+
+export function tzOffsetMinutes(zone, utcMs) {
+  // Offset of the zone from UTC at the given instant, e.g. -420 for PDT
+  if (!tzFormatters.has(zone)) {
+    tzFormatters.set(zone, new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }));
+  }
+  const p = {};
+  for (const part of tzFormatters.get(zone).formatToParts(new Date(utcMs))) p[part.type] = part.value;
+  const wall = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour) % 24, Number(p.minute), Number(p.second));
+  return Math.round((wall - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+export function tzName(zone, utcMs) {
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", { timeZone: zone, timeZoneName: "short" }).formatToParts(new Date(utcMs));
+    return parts.find((x) => x.type === "timeZoneName")?.value || zone;
+  } catch {
+    return zone;
+  }
+}
+
+export function tzTransitions(zone, fromYear, toYear) {
+  // Walk the range a week at a time and binary search each offset change down to the minute
+  const out = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const week = 7 * 86400000;
+  let t = Date.UTC(fromYear, 0, 1);
+  let off = tzOffsetMinutes(zone, t);
+  while (t < end) {
+    const next = Math.min(t + week, end);
+    const nextOff = tzOffsetMinutes(zone, next);
+    if (nextOff !== off) {
+      let lo = t; let hi = next;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+        if (tzOffsetMinutes(zone, mid) === off) lo = mid; else hi = mid;
+      }
+      out.push({ at: hi, from: off, to: nextOff });
+    }
+    t = next; off = nextOff;
+  }
+  return out;
+}
+
+export function zonedToUTC(dt, zone) {
+  // dt carries wall-clock time in its local fields; find the instant that shows that time in zone
+  const wall = Date.UTC(dt.getFullYear(), dt.getMonth(), dt.getDate(), dt.getHours(), dt.getMinutes(), dt.getSeconds());
+  let utc = wall - tzOffsetMinutes(zone, wall) * 60000;
+  utc = wall - tzOffsetMinutes(zone, utc) * 60000;
+  return new Date(utc);
+}
+
+export function utcToZoned(date, zone) {
+  // Inverse of zonedToUTC: the wall-clock time zone shows at an instant, in the local fields of a Date
+  const wall = new Date(date.getTime() + tzOffsetMinutes(zone, date.getTime()) * 60000);
+  return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+}
@@ -0,0 +1,143 @@
+/**
+ * Reads a generated .ics back and reports what breaks RFC 5545, so a bad file
+ * is caught before it is downloaded rather than by a calendar that drops it.
+ * Covers what this tool writes: line endings, folding, escaping, component
+ * nesting, required properties and date forms. It is not a general validator.
+ */
+import { controlChars, utf8Length } from "./ics.js";
+
+const NAME = /^[A-Za-z0-9-]+$/;
+// name *(";" param) ":" value, with quoted parameter values allowed to hold ; and :
+const CONTENT_LINE = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/;
+// Single TEXT values, where an unescaped , or ; would split the value
+const TEXT = new Set(["SUMMARY", "LOCATION", "DESCRIPTION", "TZNAME", "X-WR-CALNAME", "X-WR-TIMEZONE"]);
+// TEXT lists, where the comma is the separator
+const TEXT_LIST = new Set(["CATEGORIES", "X-GISTTOOLS-SOURCE"]);
+const CONTROL_CHAR = controlChars("\t"); // TAB is the only control character a value may hold
+const DATE = /^\d{8}$/;
+const DATE_TIME = /^\d{8}T\d{6}Z?$/;
+const REQUIRED = {
+  VCALENDAR: ["PRODID", "VERSION"],
+  VEVENT: ["UID", "DTSTAMP", "DTSTART"],
+  VTIMEZONE: ["TZID"],
+  STANDARD: ["DTSTART", "TZOFFSETFROM", "TZOFFSETTO"],
+  DAYLIGHT: ["DTSTART", "TZOFFSETFROM", "TZOFFSETTO"],
+  VALARM: ["ACTION", "TRIGGER"],
+};
+
+export function validateICS(text) {
+  // -> [{ line, message }], line being the 1-based physical line; empty when the file is clean
+  const problems = [];
+  const report = (line, message) => problems.push({ line, message });
+  const s = String(text);
+
+  // Physical lines: every one must end in CRLF and fit in 75 octets
+  const physical = s.split("\r\n");
+  if (physical[physical.length - 1] !== "") report(physical.length, "The file does not end with CRLF");
+  else physical.pop();
+  const logical = [];
+  physical.forEach((ln, i) => {
+    const n = i + 1;
+    if (/[\r\n]/.test(ln)) report(n, "Bare CR or LF; every line must end in CRLF");
+    const octets = [...ln].reduce((sum, ch) => sum + utf8Length(ch), 0);
+    if (octets > 75) report(n, `Line is ${octets} octets long; fold at 75`);
+    if (/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(ln)) report(n, "Broken character (half of a surrogate pair)");
+    if (/^[ \t]/.test(ln)) {
+      if (!logical.length) report(n, "The file starts with a continuation line");
+      else logical[logical.length - 1].text += ln.slice(1);
+    } else {
+      logical.push({ line: n, text: ln });
+    }
+  });
+
+  // Content lines, components and their properties
+  const stack = [];
+  const tzids = new Set();
+  const usedTzids = [];
+  for (const { line, text: ln } of logical) {
+    const m = ln.match(CONTENT_LINE);
+    if (!m) { report(line, `Not a valid content line: "${ln.slice(0, 40)}"`); continue; }
+    const name = m[1].toUpperCase();
+    const params = m[2];
+    const value = m[3];
+    if (CONTROL_CHAR.test(value)) report(line, `${name} holds a control character`);
+
+    if (name === "BEGIN") {
+      if (!NAME.test(value)) report(line, `BEGIN:${value} is not a component name`);
+      if (!stack.length && value !== "VCALENDAR") report(line, `${value} outside VCALENDAR`);
+      stack.push({ name: value.toUpperCase(), line, props: new Map() });
+      continue;
+    }
+    if (name === "END") {
+      const open = stack.pop();
+      if (!open) { report(line, `END:${value} without BEGIN`); continue; }
+      if (open.name !== value.toUpperCase()) report(line, `END:${value} closes BEGIN:${open.name} from line ${open.line}`);
+      checkComponent(open, report);
+      continue;
+    }
+    const cur = stack[stack.length - 1];
+    if (!cur) { report(line, `${name} outside VCALENDAR`); continue; }
+    if (!cur.props.has(name)) cur.props.set(name, []);
+    cur.props.get(name).push({ params, value, line });
+
+    if (TEXT.has(name) || TEXT_LIST.has(name)) {
+      // Escapes are read left to right, so "\\\\," is an escaped backslash followed by a bare comma
+      const tokens = value.match(/\\[\s\S]?|[,;]/g) || [];
+      const bad = tokens.some((t) => (t[0] === "\\" ? !/^\\[\\;,nN]$/.test(t) : TEXT.has(name) || t === ";"));
+      if (bad) report(line, `${name} is not escaped correctly`);
+    }
+    const tzid = params.match(/;TZID=("[^"]*"|[^;:]*)/i);
+    if (tzid) usedTzids.push({ line, tzid: tzid[1].replace(/^"|"$/g, "") });
+    if (name === "TZID" && cur.name === "VTIMEZONE") tzids.add(value);
+  }
+  for (const open of stack.reverse()) report(open.line, `BEGIN:${open.name} is never closed`);
+  if (!logical.length || logical[0].text !== "BEGIN:VCALENDAR") report(1, "The file must start with BEGIN:VCALENDAR");
+  for (const u of usedTzids) if (!tzids.has(u.tzid)) report(u.line, `TZID=${u.tzid} has no VTIMEZONE`);
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+function checkComponent(c, report) {
+  const one = (name) => c.props.get(name)?.[0];
+  for (const name of REQUIRED[c.name] || []) if (!one(name)) report(c.line, `${c.name} is missing ${name}`);
+  for (const [name, list] of c.props) {
+    if (list.length > 1 && !["RDATE", "EXDATE", "CATEGORIES", "COMMENT", "ATTENDEE", "TZNAME"].includes(name) && !name.startsWith("X-")) {
+      report(list[1].line, `${name} appears ${list.length} times in ${c.name}`);
+    }
+  }
+  if (c.name === "VCALENDAR" && one("VERSION") && one("VERSION").value !== "2.0") report(one("VERSION").line, "VERSION must be 2.0");
+  if (c.name !== "VEVENT") return;
+
+  if (one("DTEND") && one("DURATION")) report(one("DURATION").line, "VEVENT has both DTEND and DURATION");
+  const start = one("DTSTART");
+  if (!start) return;
+  const isDate = /;VALUE=DATE(?:;|$)/i.test(start.params);
+  const form = (p) => (/;VALUE=DATE(?:;|$)/i.test(p.params) ? "date" : /Z$/.test(p.value) ? "utc" : /;TZID=/i.test(p.params) ? "zoned" : "floating");
+  for (const name of ["DTSTART", "DTEND", "RDATE", "EXDATE"]) {
+    for (const p of c.props.get(name) || []) {
+      const values = name === "RDATE" || name === "EXDATE" ? p.value.split(",") : [p.value];
+      const pattern = /;VALUE=DATE(?:;|$)/i.test(p.params) ? DATE : DATE_TIME;
+      if (!values.every((v) => pattern.test(v))) report(p.line, `${name} is not a valid ${pattern === DATE ? "date" : "date-time"}`);
+      if (name !== "DTSTART" && form(p) !== form(start)) report(p.line, `${name} must have the same form as DTSTART (${form(start)})`);
+      if (/;TZID=/i.test(p.params) && /Z$/.test(p.value)) report(p.line, `${name} has a TZID and a UTC time`);
+    }
+  }
+  const end = one("DTEND");
+  if (end && end.value.slice(0, 15) < start.value.slice(0, 15)) report(end.line, "DTEND is before DTSTART");
+  if (end && isDate && end.value === start.value) report(end.line, "An all-day DTEND must be after DTSTART");
+  const rrule = one("RRULE");
+  const until = rrule?.value.match(/(?:^|;)UNTIL=([^;]*)/)?.[1];
+  if (until) {
+    // RFC 5545 3.3.10: a date for all-day events, UTC when DTSTART has a zone, floating otherwise
+    const want = isDate ? DATE : form(start) === "floating" ? /^\d{8}T\d{6}$/ : /^\d{8}T\d{6}Z$/;
+    if (!want.test(until)) report(rrule.line, `UNTIL=${until} does not match DTSTART (${form(start)})`);
+  }
+}
+
+export function assertValidICS(text, name = "The calendar") {
+  // Throws with the first few problems, for callers that should not hand out a file that breaks the RFC
+  const problems = validateICS(text);
+  if (!problems.length) return;
+  const shown = problems.slice(0, 5).map((p) => `line ${p.line}: ${p.message}`);
+  if (problems.length > shown.length) shown.push(`and ${problems.length - shown.length} more`);
+  throw new Error(`${name} does not follow RFC 5545, so it was not saved:\n${shown.join("\n")}`);
+}
@@ -0,0 +1,46 @@
+/**
+ * Background tasks for the app: reading a workbook and building the events.
+ * Loaded as a module Web Worker so large department-wide exports do not
+ * freeze the page; the app calls runTask directly where workers are missing.
+ */
+import { bestSheet, buildSchedule, guessExamMapping, guessInitialMapping, openSheets, streamSheetTable } from "./core/index.js";
+
+const ROW_CHUNK = 500; // sheet rows converted, and sent to the app, at a time
+
+export async function runTask(task, post) {
+  // task: { type: "read", file, exam, sheetName, override } or { type: "generate", input } (input as buildSchedule takes it).
+  // post(message) gets { type: "progress", stage, done, total } before each step, and for "read" the table's rows
+  // as { type: "rows", headers, rows, done, total } chunks while the sheet is converted (done and total count sheet
+  // rows; total is 0 for a CSV). "read" takes the sheet named in sheetName, or the one that looks most like a schedule,
+  // with the header row in override ("" to detect it). Resolves with the result, for "read" without the rows but with the
+  // guessed mapping (the exam one when task.exam is set) and the names of every sheet; other sheets are only read when
+  // asked for, so nothing but the rows of one sheet is sent to the app
+  if (task.type === "read") {
+    post({ type: "progress", stage: `Reading ${task.file.name}`, done: 0, total: 0 });
+    const sheets = await openSheets(task.file);
+    const named = task.sheetName && sheets.find((x) => x.name === task.sheetName);
+    // Only the first 50 rows of each sheet are needed to tell which one holds the schedule
+    const sheet = named || (sheets.length > 1 ? bestSheet(sheets.map((x) => ({ ...x, matrix: x.slices(50).next().value || [] }))) : sheets[0]);
+    const table = streamSheetTable(sheet, ROW_CHUNK, (rows, headers, done) => {
+      post({ type: "rows", headers, rows, done, total: sheet.size });
+    }, task.override || "");
+    const guess = task.exam ? guessExamMapping(table.headers) : guessInitialMapping(table.headers);
+    return { ...table, guess, sheets: sheets.map((x) => x.name), sheetName: sheet.name };
+  }
+  if (task.type === "generate") {
+    return buildSchedule(task.input, (stage, done, total) => post({ type: "progress", stage, done, total }));
+  }
+  throw new Error(`Unknown task "${task.type}"`);
+}
+
+// Inside a worker: one task per message, every reply tagged with the id of the message that started it
+if (typeof window === "undefined" && typeof self !== "undefined") {
+  self.onmessage = async ({ data }) => {
+    const post = (message) => self.postMessage({ ...message, id: data.id });
+    try {
+      post({ type: "done", result: await runTask(data, post) });
+    } catch (e) {
+      post({ type: "error", message: e.message || String(e) });
+    }
+  };
+}
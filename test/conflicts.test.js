@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildEvents, findConflicts, parseBusyEvents, tagConflicts } from "../src/core/index.js";
+
+const rows = [
+  { Course: "MATH 101", "Meeting Patterns": "2025-09-01 - 2025-09-30 | Mon Wed | 9:00 AM - 10:00 AM | X" },
+  { Course: "CHEM 110", "Meeting Patterns": "2025-09-01 - 2025-09-30 | Wed | 9:30 AM - 10:30 AM | Y" },
+];
+const { events } = buildEvents(rows, { courseField: "Course", patternField: "Meeting Patterns" }, { mappingMode: "pattern", titleTemplate: "{Course}" });
+
+const calendar = (...vevents) => `BEGIN:VCALENDAR\r\n${vevents.map((lines) => `BEGIN:VEVENT\r\n${lines.join("\r\n")}\r\nEND:VEVENT\r\n`).join("")}END:VCALENDAR\r\n`;
+
+test("overlapping classes are grouped by the pair of series, one clash per shared class", () => {
+  const [clash] = findConflicts(events);
+  assert.deepEqual([clash.a.summary, clash.b.summary, clash.b.busy], ["MATH 101", "CHEM 110", false]);
+  assert.deepEqual(clash.clashes.map((c) => c.aStart), [3, 10, 17, 24].map((d) => new Date(2025, 8, d, 9, 0)));
+  assert.ok(clash.clashes.every((c) => c.minutes === 30 && c.aKey && c.bKey));
+  assert.deepEqual(findConflicts(events.map((ev) => ({ ...ev, allDay: true }))), []);
+});
+
+test("busy times are expanded, converted to the schedule's zone, and never clash with each other", () => {
+  const text = calendar(
+    ["UID:shift-1", "SUMMARY:Work", "DTSTART:20250901T083000", "DTEND:20250901T093000", "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3", "EXDATE:20250908T083000"],
+    ["UID:shift-2", "SUMMARY:Work", "DTSTART:20250903T130000Z", "DURATION:PT1H"],
+    ["UID:holiday", "SUMMARY:Day off", "DTSTART;VALUE=DATE:20250903"],
+    ["UID:gone", "DTSTART:20250903T090000", "DTEND:20250903T100000", "STATUS:CANCELLED"],
+  );
+  const { events: busy, skipped } = parseBusyEvents(text, "America/Toronto", new Date(2025, 11, 31));
+  assert.equal(skipped, 0);
+  assert.deepEqual(busy.map((b) => [b.uid, b.start]), [
+    ["shift-1", new Date(2025, 8, 1, 8, 30)],
+    ["shift-1", new Date(2025, 8, 15, 8, 30)],
+    // 13:00 UTC is 9:00 in Toronto
+    ["shift-2", new Date(2025, 8, 3, 9, 0)],
+  ]);
+  const conflicts = findConflicts(events, busy);
+  const withWork = conflicts.filter((c) => c.b.busy);
+  assert.deepEqual(withWork.map((c) => [c.a.summary, c.id.split("|")[1], c.clashes.length]), [["MATH 101", "busy:shift-1", 2], ["MATH 101", "busy:shift-2", 1], ["CHEM 110", "busy:shift-2", 1]]);
+  assert.ok(withWork.every((c) => c.b.series === null && c.clashes.every((x) => x.bKey === null)));
+});
+
+test("a rule that cannot be expanded counts as one busy time", () => {
+  const text = calendar(["UID:monthly", "DTSTART:20250901T083000", "DTEND:20250901T093000", "RRULE:FREQ=MONTHLY;BYMONTHDAY=1"]);
+  const { events: busy, skipped } = parseBusyEvents(text, "America/Toronto");
+  assert.equal(skipped, 1);
+  assert.equal(busy.length, 1);
+  assert.equal(busy[0].summary, "Busy");
+});
+
+test("tagging a clash marks the whole series it belongs to", () => {
+  const [clash] = findConflicts(events);
+  const tagged = tagConflicts(events, new Set([clash.clashes[0].bKey]));
+  assert.deepEqual(tagged.map((ev) => ev.categories?.includes("CONFLICT") || false), [false, true]);
+  assert.equal(tagged[0], events[0]);
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildEvents, guessInitialMapping } from "../src/core/index.js";
+
+test("English Workday headers are mapped", () => {
+  const mapped = guessInitialMapping(["Course Listing", "Section", "Instructional Format", "Meeting Patterns", "Start Date", "End Date", "Instructor"]);
+  assert.equal(mapped.courseField, "Course Listing");
+  assert.equal(mapped.componentField, "Instructional Format");
+  assert.equal(mapped.patternField, "Meeting Patterns");
+  assert.equal(mapped.startDateField, "Start Date");
+  assert.equal(mapped.endDateField, "End Date");
+});
+
+test("date columns that name the course are not taken for the course", () => {
+  const mapped = guessInitialMapping(["Date de début du cours", "Date de fin du cours", "Parcours", "Cours", "Section", "Salle"]);
+  assert.equal(mapped.startDateField, "Date de début du cours");
+  assert.equal(mapped.endDateField, "Date de fin du cours");
+  assert.equal(mapped.courseField, "Cours");
+  assert.equal(mapped.locationField, "Salle");
+});
+
+test("a whole-word match wins over a longer header that contains the word", () => {
+  assert.equal(guessInitialMapping(["Jours fériés", "Jours", "Heure de début"]).daysField, "Jours");
+  assert.equal(guessInitialMapping(["Holidays", "Class Days"]).daysField, "Class Days");
+  // Substrings are still the fallback
+  assert.equal(guessInitialMapping(["Coursename"]).courseField, "Coursename");
+});
+
+test("a bracketed alternate-weeks pattern becomes one biweekly series", () => {
+  const rows = [{ Course: "CPSC 110", "Meeting Patterns": "2025-09-04 - 2025-12-04 | Thu (Alternate Weeks) | 1:00 PM - 1:50 PM | DMP 110" }];
+  const { events, issues } = buildEvents(rows, { courseField: "Course", patternField: "Meeting Patterns" }, { mappingMode: "pattern", titleTemplate: "{Course}" });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].rrule.interval, 2);
+  assert.deepEqual([...events[0].rrule.days], [4]);
+  assert.equal(events[0].location, "DMP 110");
+  assert.deepEqual(issues.map((i) => i.parser), ["parseWeeks"]);
+});
+
+test("every line of a meeting pattern cell becomes a series, and TBA rows are reported", () => {
+  const rows = [
+    { Course: "CHEM 110", "Meeting Patterns": "2025-09-03 - 2025-12-05 | Tue Thu | 2:00 PM - 3:20 PM | Room 201\n2025-09-05 - 2025-12-05 | Fri | 9:00 AM - 9:50 AM | Hum 110" },
+    { Course: "PHIL 100", "Meeting Patterns": "TBA" },
+  ];
+  const { events, issues } = buildEvents(rows, { courseField: "Course", patternField: "Meeting Patterns" }, { mappingMode: "pattern", titleTemplate: "{Course}" });
+  assert.deepEqual(events.map((e) => e.location), ["Room 201", "Hum 110"]);
+  // The first class is the first Tuesday or Thursday on or after the start date
+  assert.deepEqual(events[0].dtStart, new Date(2025, 8, 4, 14, 0));
+  assert.deepEqual([...events[1].rrule.days], [5]);
+  assert.deepEqual(issues.map((i) => [i.row, i.parser, i.message]), [[1, "parseMeetingPatterns", "Not scheduled yet (TBA)"]]);
+});
+
+test("one day over 12 settles the date order for the whole column, and a column without one is flagged", () => {
+  const rows = [
+    { Course: "MATH 101", "Meeting Patterns": "04/09/2025 - 05/12/2025 | Thu | 9:00 AM - 10:00 AM | X" },
+    { Course: "CHEM 110", "Meeting Patterns": "13/09/2025 - 05/12/2025 | Sat | 9:00 AM - 10:00 AM | Y" },
+  ];
+  const mapped = { courseField: "Course", patternField: "Meeting Patterns" };
+  const options = { mappingMode: "pattern", titleTemplate: "{Course}" };
+  const both = buildEvents(rows, mapped, options);
+  assert.deepEqual(both.events.map((e) => e.dtStart), [new Date(2025, 8, 4, 9, 0), new Date(2025, 8, 13, 9, 0)]);
+  assert.deepEqual(both.issues, []);
+  const first = buildEvents(rows.slice(0, 1), mapped, options);
+  assert.deepEqual(first.events[0].dtStart, new Date(2025, 3, 10, 9, 0));
+  assert.deepEqual(first.issues.map((i) => [i.severity, i.parser]), [["warning", "parseDate"]]);
+  assert.match(first.issues[0].message, /order is a guess: read as MDY/);
+  assert.deepEqual(buildEvents(rows.slice(0, 1), mapped, { ...options, dateOrder: "DMY" }).issues, []);
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildEvents, buildICS, guessExamMapping, validateICS } from "../src/core/index.js";
+
+const examOptions = { mappingMode: "exam", source: "exam", titleTemplate: "{Course} Exam" };
+
+test("an exam row with the whole time range in its date cell is one event", () => {
+  const rows = [{ Course: "MATH 101", "Exam Date": "2025-12-12 9:00 AM - 11:30 AM", Room: "OSBO A" }];
+  const mapped = guessExamMapping(Object.keys(rows[0]));
+  const { events, issues } = buildEvents(rows, mapped, examOptions);
+  assert.deepEqual(issues, []);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary, "MATH 101 Exam");
+  assert.equal(events[0].location, "OSBO A");
+  assert.equal(events[0].component, "Exam");
+  assert.deepEqual(events[0].dtStart, new Date(2025, 11, 12, 9, 0));
+  assert.deepEqual(events[0].dtEnd, new Date(2025, 11, 12, 11, 30));
+  assert.equal(events[0].rrule, undefined);
+});
+
+test("exam rows read the start time column as a range, or with an end time column", () => {
+  const rows = [
+    { Course: "CHEM 110", Date: "2025-12-15", "Start Time": "2:00 PM - 4:30 PM" },
+    { Course: "PHYS 118", Date: "2025-12-16", "Start Time": "9:00 AM", "End Time": "11:00 AM" },
+  ];
+  const { events, issues } = buildEvents(rows, { courseField: "Course", startDateField: "Date", startTimeField: "Start Time", endTimeField: "End Time" }, examOptions);
+  assert.deepEqual(issues, []);
+  assert.deepEqual(events.map((ev) => [ev.dtStart.getHours(), ev.dtEnd.getHours()]), [[14, 16], [9, 11]]);
+});
+
+test("a missing exam end time names the exam columns, not the meeting pattern", () => {
+  const rows = [{ Course: "CHEM 110", Date: "2025-12-15", Time: "2:00 PM" }];
+  const { events, issues } = buildEvents(rows, { courseField: "Course", startDateField: "Date", startTimeField: "Time" }, examOptions);
+  assert.equal(events.length, 0);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].field, "End time");
+  assert.equal(issues[0].source, "exam");
+  assert.match(issues[0].message, /exam "Date" or "Time" column and no End time column is mapped/);
+  assert.doesNotMatch(issues[0].message, /meeting pattern/);
+});
+
+test("rows without times become all-day events when allDay is set", () => {
+  const rows = [{ Course: "Reading week", From: "2026-02-16", To: "2026-02-20" }, { Course: "Convocation", From: "2026-05-28" }];
+  const mapped = { courseField: "Course", startDateField: "From", endDateField: "To" };
+  const { events } = buildEvents(rows, mapped, { allDay: true, titleTemplate: "{Course}" });
+  assert.deepEqual(events.map((ev) => [ev.summary, ev.allDay, ev.dtStart.getDate(), ev.dtEnd.getDate()]), [["Reading week", true, 16, 21], ["Convocation", true, 28, 29]]);
+  const ics = buildICS(events, "Terms", "America/Vancouver");
+  assert.match(ics, /DTSTART;VALUE=DATE:20260216\r\nDTEND;VALUE=DATE:20260221\r\n/);
+  assert.deepEqual(validateICS(ics), []);
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildEvents, holidayExclusions, isExcluded, parseExclusionText } from "../src/core/index.js";
+
+test("typed exclusions read dates, ranges and labels, and set aside lines without a date", () => {
+  const { ranges, invalid } = parseExclusionText("# breaks\n2025-11-10 - 2025-11-14, Reading week\nSep 30, 2025,Truth and Reconciliation\nDate,Label\n2025-10-13");
+  assert.deepEqual(ranges, [
+    { start: new Date(2025, 10, 10), end: new Date(2025, 10, 14), label: "Reading week" },
+    { start: new Date(2025, 8, 30), end: new Date(2025, 8, 30), label: "Truth and Reconciliation" },
+    { start: new Date(2025, 9, 13), end: new Date(2025, 9, 13), label: "" },
+  ]);
+  assert.deepEqual(invalid, ["Date,Label"]);
+  assert.ok(isExcluded(new Date(2025, 10, 14), ranges));
+  assert.ok(!isExcluded(new Date(2025, 10, 15), ranges));
+});
+
+test("holiday presets move weekend holidays to the day each country observes them", () => {
+  const labels = (preset) => holidayExclusions(preset, 2027, 2028).map((r) => [r.start.toDateString(), r.label]);
+  // New Year's Day 2028 is a Saturday
+  assert.ok(labels("CA-ON").some(([d, l]) => d === new Date(2028, 0, 3).toDateString() && l === "New Year's Day (observed)"));
+  assert.ok(labels("US").some(([d, l]) => d === new Date(2027, 11, 31).toDateString() && l === "New Year's Day (observed)"));
+  assert.deepEqual(holidayExclusions("CA-ON", 2025, 2025).find((r) => r.label === "Thanksgiving").start, new Date(2025, 9, 13));
+  assert.deepEqual(holidayExclusions("nowhere", 2025, 2025), []);
+});
+
+test("classes on no-class dates are left out with EXDATE, and the series starts on the first class kept", () => {
+  const rows = [{ Course: "MATH 101", "Meeting Patterns": "2025-09-01 - 2025-11-30 | Mon | 9:00 AM - 9:50 AM | X" }];
+  const options = { mappingMode: "pattern", titleTemplate: "{Course}", holidayPreset: "CA-ON", exclusions: parseExclusionText("2025-11-10 - 2025-11-14, Reading week").ranges };
+  const { events, occurrenceCount, removedCount } = buildEvents(rows, { courseField: "Course", patternField: "Meeting Patterns" }, options);
+  // Labour Day (September 1) is the first Monday
+  assert.deepEqual(events[0].dtStart, new Date(2025, 8, 8, 9, 0));
+  assert.deepEqual(events[0].exdates, [new Date(2025, 9, 13, 9, 0), new Date(2025, 10, 10, 9, 0)]);
+  assert.deepEqual([occurrenceCount, removedCount], [10, 3]);
+});
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { convert, icsProp, parseICSEvents, parsePreviousExport, validateICS } from "../src/core/index.js";
+
+const mapped = { courseField: "Course", patternField: "Meeting Patterns" };
+const options = { mappingMode: "pattern", titleTemplate: "{Course}", timezone: "America/Toronto", calendarName: "Fall" };
+const rows = [
+  { Course: "MATH 101", "Meeting Patterns": "2025-09-01 - 2025-12-05 | Mon Wed | 9:00 AM - 10:00 AM | X" },
+  { Course: "CHEM 110", "Meeting Patterns": "2025-09-01 - 2025-12-05 | Tue | 9:00 AM - 10:00 AM | Y" },
+  { Course: "PHIL 100", "Meeting Patterns": "2025-09-01 - 2025-12-05 | Fri | 1:00 PM - 2:00 PM | Z" },
+];
+const moved = { ...rows[0], "Meeting Patterns": rows[0]["Meeting Patterns"].replace("| X", "| X2") };
+const read = (ics) => parseICSEvents(ics).map((props) => ["SUMMARY", "SEQUENCE", "STATUS"].map((name) => icsProp(props, name)?.value));
+
+test("against a previous export, changed events bump SEQUENCE and dropped ones are resent as cancelled", () => {
+  const first = convert(rows, mapped, options);
+  assert.equal(first.diff, null);
+  assert.deepEqual(read(first.ics).map(([, sequence]) => sequence), ["0", "0", "0"]);
+
+  const second = convert([moved, rows[1]], mapped, { ...options, previous: parsePreviousExport(first.ics) });
+  assert.deepEqual(second.diff.changed.map((ev) => ev.summary), ["MATH 101"]);
+  assert.deepEqual(second.diff.removed.map((prev) => prev.summary), ["PHIL 100"]);
+  assert.deepEqual([second.diff.added.length, second.diff.unchanged], [0, 1]);
+  assert.deepEqual(read(second.ics), [["MATH 101", "1", undefined], ["CHEM 110", "0", undefined], ["PHIL 100", "1", "CANCELLED"]]);
+  assert.deepEqual(validateICS(second.ics), []);
+
+  // A class that comes back is added again above its cancelled SEQUENCE
+  const third = convert([moved, ...rows.slice(1)], mapped, { ...options, previous: parsePreviousExport(second.ics) });
+  assert.deepEqual(third.diff.added.map((ev) => [ev.summary, ev.sequence]), [["PHIL 100", 2]]);
+  assert.deepEqual([third.diff.removed.length, third.diff.unchanged], [0, 2]);
+});
+
+test("cancellations can be left out of the export", () => {
+  const first = convert(rows, mapped, options);
+  const second = convert(rows.slice(0, 2), mapped, { ...options, previous: parsePreviousExport(first.ics), includeCancelled: false });
+  assert.equal(second.diff.removed.length, 1);
+  assert.deepEqual(read(second.ics).map(([summary]) => summary), ["MATH 101", "CHEM 110"]);
+});
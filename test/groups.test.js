@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { collectGroups, groupSettingsFor } from "../src/core/index.js";
+
+const mapped = { courseField: "Course", sectionField: "Section", componentField: "Type" };
+const rows = [
+  { Course: "MATH 101", Section: "001", Type: "Lecture" },
+  { Course: "CHEM 110", Section: "001", Type: "Lecture" },
+  { Course: "CHEM 110", Section: "002", Type: "Lab" },
+];
+const values = (row) => ({ course: row.Course, section: row.Section, component: row.Type });
+
+test("sections with the same code in different courses are kept apart", () => {
+  const groups = collectGroups(rows, mapped);
+  assert.deepEqual(Object.keys(groups.section), ["CHEM 110 / 001", "CHEM 110 / 002", "MATH 101 / 001"]);
+
+  groups.section["MATH 101 / 001"] = { ...groups.section["MATH 101 / 001"], include: false };
+  assert.equal(groupSettingsFor(values(rows[0]), groups).include, false);
+  assert.equal(groupSettingsFor(values(rows[1]), groups).include, true);
+});
+
+test("a section's color wins over its course's, and known values keep their settings", () => {
+  const first = collectGroups(rows, mapped);
+  first.section["CHEM 110 / 002"] = { ...first.section["CHEM 110 / 002"], color: "gold", category: "Lab group" };
+  const again = collectGroups(rows, mapped, first);
+  assert.deepEqual(groupSettingsFor(values(rows[2]), again), { include: true, categories: ["CHEM 110", "Lab group", "Lab"], color: "gold" });
+  assert.equal(groupSettingsFor(values(rows[1]), again).color, again.course["CHEM 110"].color);
+});
+
+test("sections are keyed by their code alone when no course column is mapped", () => {
+  const groups = collectGroups(rows, { sectionField: "Section" });
+  assert.deepEqual(Object.keys(groups.section), ["001", "002"]);
+  assert.equal(groupSettingsFor({ course: "", section: "002", component: "" }, groups).include, true);
+});
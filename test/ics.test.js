@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildICS, foldLines, icsEscape, icsUnescape, parseICSEvents, utf8Length, validateICS } from "../src/core/index.js";
+
+const event = (fields = {}) => ({
+  uid: "test-1@gisttools.local",
+  summary: "MATH 101 Lecture",
+  dtStart: new Date(2025, 8, 2, 9, 0),
+  dtEnd: new Date(2025, 8, 2, 10, 15),
+  rrule: { days: new Set([2, 4]), interval: 1, until: new Date(2025, 11, 11, 10, 15) },
+  ...fields,
+});
+
+const octets = (line) => [...line].reduce((sum, ch) => sum + utf8Length(ch), 0);
+const unfold = (ics) => ics.replace(/\r\n[ \t]/g, "");
+
+test("every line ends in CRLF and none is bare", () => {
+  const ics = buildICS([event({ description: "Line one\nLine two\r\nLine three\rLine four" })], "Fall", "America/Toronto");
+  assert.ok(ics.endsWith("\r\n"));
+  assert.doesNotMatch(ics.replace(/\r\n/g, ""), /[\r\n]/);
+});
+
+test("folding keeps lines within 75 octets without splitting multibyte characters", () => {
+  for (const text of ["é".repeat(100), "講義".repeat(40), "📚".repeat(40), `A${"é📚講".repeat(30)}`]) {
+    const folded = foldLines(`SUMMARY:${text}\n`);
+    const lines = folded.split("\r\n").slice(0, -1);
+    assert.ok(lines.length > 1);
+    for (const ln of lines) {
+      assert.ok(octets(ln) <= 75, `${octets(ln)} octets`);
+      assert.doesNotMatch(ln, /[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/);
+    }
+    assert.equal(unfold(folded), `SUMMARY:${text}\r\n`);
+  }
+});
+
+test("a line of exactly 75 octets is not folded", () => {
+  const line = `SUMMARY:${"x".repeat(67)}`;
+  assert.equal(foldLines(line), line);
+  assert.equal(foldLines(`${line}x`).split("\r\n").length, 2);
+});
+
+test("TEXT values are escaped and read back unchanged", () => {
+  for (const text of ["Room 1, Building A; East", "C:\\Temp\\n", "a\\,b", "One\nTwo\r\nThree\rFour"]) {
+    const escaped = icsEscape(text);
+    assert.doesNotMatch(escaped, /(?<!\\)[,;\r\n]/);
+    assert.equal(icsUnescape(escaped), text.replace(/\r\n?/g, "\n"));
+  }
+  assert.equal(icsEscape("Tab\tand bell\u0007"), "Tab\tand bell");
+});
+
+test("summary, location and description survive a round trip", () => {
+  const fields = { summary: "Théorie des ensembles; séminaire 📚", location: "Salle 12, Pavillon Lassonde", description: "Bring a calculator\\notes\nand the textbook" };
+  const [props] = parseICSEvents(buildICS([event(fields)], "Automne", "America/Toronto"));
+  for (const [name, value] of [["SUMMARY", fields.summary], ["LOCATION", fields.location], ["DESCRIPTION", fields.description]]) {
+    assert.equal(icsUnescape(props.find((p) => p.name === name).value), value);
+  }
+});
+
+test("validateICS accepts output with non-ASCII course names in every time mode", () => {
+  const events = [
+    event({ summary: "ÉCON 2100 — Microéconomie intermédiaire, séance magistrale du mardi et du jeudi", categories: ["ÉCON 2100", "Cours"] }),
+    event({ uid: "test-2@gisttools.local", summary: "日本語 1A 初級日本語・文法と会話の演習クラス 📚📚📚📚📚📚", location: "Bâtiment Z; 3ᵉ étage" }),
+    event({ uid: "test-3@gisttools.local", summary: "Prüfung: Lineare Algebra", allDay: true, rrule: null, dtStart: new Date(2025, 11, 15), dtEnd: new Date(2025, 11, 16) }),
+  ];
+  for (const mode of ["tzid", "utc", "floating"]) {
+    assert.deepEqual(validateICS(buildICS(events, "Horaire d'automne", "America/Toronto", mode)), [], mode);
+  }
+});
+
+test("validateICS reports the problems it is meant to catch", () => {
+  const good = buildICS([event()], "Fall", "America/Toronto");
+  const messages = (text) => validateICS(text).map((p) => p.message).join("\n");
+  assert.match(messages(good.replace(/\r\n/g, "\n")), /CRLF/);
+  assert.match(messages(good.replace("SUMMARY:MATH 101 Lecture", `SUMMARY:${"é".repeat(60)}`)), /fold at 75/);
+  assert.match(messages(good.replace("SUMMARY:MATH 101 Lecture", "SUMMARY:MATH 101, Lecture")), /SUMMARY is not escaped/);
+  assert.match(messages(good.replace("SUMMARY:MATH 101 Lecture", "SUMMARY:MATH\u0007101")), /control character/);
+  assert.match(messages(good.replace(/BEGIN:VTIMEZONE[\s\S]*END:VTIMEZONE\r\n/, "")), /has no VTIMEZONE/);
+  assert.match(messages(good.replace("END:VEVENT\r\n", "")), /is never closed|closes BEGIN/);
+});
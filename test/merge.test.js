@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildEvents, mergeSources } from "../src/core/index.js";
+
+const mapped = { courseField: "Course", daysField: "Days", startTimeField: "Start", endTimeField: "End", startDateField: "From", endDateField: "To" };
+const row = (course, days, from, to, start = "9:00 AM", end = "9:50 AM") => ({ Course: course, Days: days, Start: start, End: end, From: from, To: to });
+const build = (name, rows) => ({ name, ...buildEvents(rows, mapped, { titleTemplate: "{Course}" }) });
+
+const fall = () => build("Fall 2025.xlsx", [row("MATH 101", "MWF", "2025-09-03", "2025-12-05"), row("CHEM 110", "TTh", "2025-09-02", "2025-12-04")]);
+const winter = () => build("Winter 2026.xlsx", [row("MATH 101", "MWF", "2026-01-05", "2026-04-08")]);
+const labs = () => build("Labs.csv", [row("CHEM 110", "W", "2025-09-10", "2025-12-03", "2:00 PM", "4:50 PM")]);
+const uids = (merged) => Object.fromEntries(merged.events.map((ev) => [`${ev.summary} ${ev.dtStart.toISOString()}`, ev.uid]));
+
+test("UIDs do not depend on the order the files were loaded in", () => {
+  const a = uids(mergeSources([fall(), winter(), labs()]));
+  const b = uids(mergeSources([labs(), winter(), fall()]));
+  assert.deepEqual(b, a);
+  assert.equal(new Set(Object.values(a)).size, 4);
+});
+
+test("loading another file leaves the UIDs of the others alone", () => {
+  const alone = uids(mergeSources([fall()]));
+  const withLabs = uids(mergeSources([fall(), labs()]));
+  const withWinter = uids(mergeSources([winter(), fall()]));
+  for (const [event, uid] of Object.entries(alone)) {
+    assert.equal(withLabs[event], uid, event);
+    // The same course a term later gets a UID of its own; the earlier term keeps its one
+    assert.equal(withWinter[event], uid, event);
+  }
+  assert.deepEqual(alone, uids(fall()));
+});
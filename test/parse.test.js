@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { describeWeeks, detectDateOrder, detectDayLanguage, meetingPatternDays, parseDate, parseDays, parseMeetingPatterns, parseTime, parseWeeks, splitWeeks } from "../src/core/index.js";
+
+const days = (set) => [...set].sort();
+
+test("a column is read in the language that reads most of it", () => {
+  assert.equal(detectDayLanguage(["MWF", "TTh", "M"]), "en");
+  assert.equal(detectDayLanguage(["Lun Mer", "Mardi et jeudi", "LMJ"]), "fr");
+  assert.equal(detectDayLanguage(["Mo Mi", "Di Do", "Fr"]), "de");
+  assert.equal(detectDayLanguage(["Lunes y miércoles", "X"]), "es");
+});
+
+test("languages that tie but read the days differently fall back to English", () => {
+  // "Di" is dimanche in French and Dienstag in German
+  assert.equal(detectDayLanguage(["Di"]), "en");
+  assert.equal(parseDays("Di", "auto").size, 0);
+  assert.deepEqual(days(parseDays("Di", "de")), [2]);
+  assert.deepEqual(days(parseDays("Di", "fr")), [0]);
+  // French and Spanish agree on L M J
+  assert.equal(detectDayLanguage(["L M J"]), "fr");
+  assert.deepEqual(days(parseDays("L M J", "auto")), [1, 2, 4]);
+});
+
+test("meeting patterns are read in the language passed for the column", () => {
+  const [pattern] = parseMeetingPatterns("Di | 10:00 - 11:30 | Raum 101", "DMY", "de");
+  assert.deepEqual(days(pattern.days), [2]);
+  assert.equal(parseMeetingPatterns("Di | 10:00 - 11:30 | Raum 101", "DMY", "auto")[0].days, undefined);
+});
+
+test("week notes are found with or without brackets, and the brackets go with them", () => {
+  const cases = [
+    ["Thu (Alternate Weeks)", { interval: 2, start: 1, ambiguous: true }],
+    ["Tue/Thu (Weeks 1-6)", { list: [1, 2, 3, 4, 5, 6] }],
+    ["Tue (Odd Weeks)", { interval: 2, start: 1 }],
+    ["Wed [Even weeks]", { interval: 2, start: 2 }],
+    ["Fri (Bi-weekly)", { interval: 2, start: 1, ambiguous: true }],
+    ["Mon (A/B weeks)", { interval: 2, start: 1, ambiguous: true }],
+    ["Mon (A)", { interval: 2, start: 1 }],
+    ["Mon (B)", { interval: 2, start: 2 }],
+    ["Mon Weeks 2, 4 & 6", { list: [2, 4, 6] }],
+  ];
+  for (const [text, weeks] of cases) {
+    const found = splitWeeks(text);
+    assert.deepEqual(found.weeks, weeks, text);
+    assert.doesNotMatch(found.rest, /[()[\]]/, text);
+  }
+  assert.deepEqual(splitWeeks("Mon Wed"), { weeks: null, rest: "Mon Wed" });
+});
+
+test("whole-cell week patterns round-trip through describeWeeks", () => {
+  for (const text of ["Odd weeks", "Even weeks", "Every week", "Weeks 1-6", "Weeks 2, 4, 6", "Week 3"]) {
+    assert.equal(describeWeeks(parseWeeks(text)), text);
+  }
+  assert.equal(parseWeeks("Weeks 1-6 in Room 5"), null);
+  assert.equal(parseWeeks("Weeks 9-2"), null);
+});
+
+test("bracketed week notes in meeting patterns keep the days and the room", () => {
+  const cases = [
+    ["Thu (Alternate Weeks) | 1:00 PM - 1:50 PM | DMP 110", [4], "DMP 110", { interval: 2, start: 1, ambiguous: true }],
+    ["Tue/Thu (Weeks 1-6) | 1:00 PM - 1:50 PM | BUCH A101", [2, 4], "BUCH A101", { list: [1, 2, 3, 4, 5, 6] }],
+    ["Tue (Odd Weeks) | 9:00 AM - 10:00 AM | LAB-2", [2], "LAB-2", { interval: 2, start: 1 }],
+    ["Mon (A) | 2:00 PM - 4:50 PM | LAB-110", [1], "LAB-110", { interval: 2, start: 1 }],
+    ["Wed | 9:00 AM - 9:50 AM | (Even Weeks) | SWNG 121", [3], "SWNG 121", { interval: 2, start: 2 }],
+  ];
+  for (const [cell, want, location, weeks] of cases) {
+    const [pattern] = parseMeetingPatterns(cell, "auto", "en");
+    assert.deepEqual(days(pattern.days), want, cell);
+    assert.equal(pattern.location, location, cell);
+    assert.deepEqual(pattern.weeks, weeks, cell);
+  }
+});
+
+test("rooms are never read as day names, and do not sway the language", () => {
+  const cell = "Tue/Thu (Weeks 1-6) | 1:00 PM - 1:50 PM | X";
+  for (const language of ["auto", "en"]) {
+    const [pattern] = parseMeetingPatterns(cell, "auto", language);
+    assert.deepEqual(days(pattern.days), [2, 4], language);
+    assert.equal(pattern.location, "X", language);
+  }
+  assert.deepEqual(meetingPatternDays(`${cell}\nMon | 9:00 AM - 9:50 AM | SA 100`), ["Tue/Thu", "Mon"]);
+  const column = ["Mi | 10:00 - 11:30 | X", "Mo Mi | 8:00 - 9:00 | X", "Do | 12:00 - 13:00 | X"];
+  assert.equal(detectDayLanguage(column.flatMap((c) => meetingPatternDays(c))), "de");
+  // A days part that only reads in another language leaves the pattern without days instead of using the room
+  const [german] = parseMeetingPatterns("Di | 10:00 - 11:30 | X", "DMY", "en");
+  assert.equal(german.days, undefined);
+  assert.equal(german.location, "X");
+});
+
+test("each line of a meeting pattern cell is its own pattern, with its dates, days, times and room", () => {
+  const cell = "2025-09-03 - 2025-12-05 | Tue Thu | 2:00 PM - 3:20 PM | Room 201\n2025-09-05 - 2025-12-05 | Fri | 9:00 AM - 9:50 AM | Hum 110";
+  const [lecture, tutorial] = parseMeetingPatterns(cell, "auto", "en");
+  assert.deepEqual(lecture.startDate, new Date(2025, 8, 3));
+  assert.deepEqual(lecture.endDate, new Date(2025, 11, 5));
+  assert.deepEqual(days(lecture.days), [2, 4]);
+  assert.deepEqual([lecture.startTime, lecture.endTime], [{ h: 14, min: 0, sec: 0 }, { h: 15, min: 20, sec: 0 }]);
+  assert.equal(lecture.location, "Room 201");
+  assert.deepEqual(days(tutorial.days), [5]);
+  // "Hum" is not read as a day name
+  assert.equal(tutorial.location, "Hum 110");
+  assert.equal(parseMeetingPatterns("", "auto", "en").length, 0);
+});
+
+test("meeting pattern dates follow the column's date order", () => {
+  const [pattern] = parseMeetingPatterns("04/09/2025 - 05/12/2025 | Mon | 9:00 - 10:00 | X", "DMY", "en");
+  assert.deepEqual(pattern.startDate, new Date(2025, 8, 4));
+  assert.deepEqual(pattern.endDate, new Date(2025, 11, 5));
+});
+
+test("a single date with a time range is read as one meeting, as in exam reports", () => {
+  const [exam] = parseMeetingPatterns("2025-12-12 9:00 AM - 11:30 AM | OSBO A", "auto", "en");
+  assert.deepEqual(exam.startDate, new Date(2025, 11, 12));
+  assert.deepEqual(exam.endDate, exam.startDate);
+  assert.deepEqual([exam.startTime, exam.endTime], [{ h: 9, min: 0, sec: 0 }, { h: 11, min: 30, sec: 0 }]);
+  assert.equal(exam.days, undefined);
+  assert.equal(exam.location, "OSBO A");
+});
+
+test("numeric dates are read in the order given, and auto only reads DMY when the day is over 12", () => {
+  const cases = [
+    ["04/09/2025", "auto", new Date(2025, 3, 9)],
+    ["04/09/2025", "DMY", new Date(2025, 8, 4)],
+    ["13/09/2025", "auto", new Date(2025, 8, 13)],
+    ["13/09/2025", "MDY", null],
+    ["31/02/2025", "DMY", null],
+    ["2025-09-04", "MDY", new Date(2025, 8, 4)],
+    ["25/09/04", "YMD", new Date(2025, 8, 4)],
+    ["04.09.25", "DMY", new Date(2025, 8, 4)],
+    ["20250904", "auto", new Date(2025, 8, 4)],
+    ["45904", "auto", new Date(2025, 8, 4)],
+    ["4-Sep-2025", "MDY", new Date(2025, 8, 4)],
+    ["Thu, Sept 4th, 2025", "DMY", new Date(2025, 8, 4)],
+  ];
+  for (const [text, order, want] of cases) assert.deepEqual(parseDate(text, order), want, `${text} ${order}`);
+});
+
+test("a column's date order is settled by the dates that can only be read one way", () => {
+  assert.deepEqual(detectDateOrder(["04/09/2025", "13/09/2025 - 05/12/2025"]).order, "DMY");
+  assert.deepEqual(detectDateOrder(["04/09/2025", "09/13/2025"]).order, "MDY");
+  const unsure = detectDateOrder(["04/09/2025", "05/03/2025", "2025-09-04", new Date(2025, 8, 4)]);
+  assert.deepEqual(unsure, { order: "MDY", ambiguous: true, conflicting: false, samples: [{ index: 0, text: "04/09/2025" }, { index: 1, text: "05/03/2025" }] });
+  assert.equal(detectDateOrder(["13/09/2025", "09/13/2025"]).conflicting, true);
+});
+
+test("times are read in 12- and 24-hour forms and as fractions of a day", () => {
+  assert.deepEqual(parseTime("14h30"), { h: 14, min: 30, sec: 0 });
+  assert.deepEqual(parseTime("2 p.m."), { h: 14, min: 0, sec: 0 });
+  assert.deepEqual(parseTime("12:15 AM"), { h: 0, min: 15, sec: 0 });
+  assert.deepEqual(parseTime("0.4375"), { h: 10, min: 30, sec: 0 });
+  assert.equal(parseTime("13 PM"), null);
+});
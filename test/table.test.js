@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { openSheets, readSheetTable, readSheets, streamSheetTable } from "../src/core/index.js";
+import { runTask } from "../src/worker.js";
+
+const csvFile = (lines) => Object.assign(new Blob([lines.join("\n")]), { name: "schedule.csv" });
+
+const lines = [
+  "Student schedule report",
+  "",
+  "Course,Section,Meeting Patterns,Component",
+  ...Array.from({ length: 120 }, (_, i) => [
+    `MATH ${100 + i},001,"Mon/Wed | 9:00 AM - 10:00 AM",Lecture`,
+    ...(i === 49 ? ["", "Confidential"] : []),
+  ]).flat(),
+  "",
+  "Total,120",
+  "Generated on 2025-08-01",
+];
+
+test("rows streamed in slices match the rows read in one go", async () => {
+  const file = csvFile(lines);
+  const [whole] = await readSheets(file);
+  const expected = readSheetTable(whole, "");
+
+  const [sheet] = await openSheets(file);
+  const chunks = [];
+  const table = streamSheetTable(sheet, 50, (rows, headers, done) => chunks.push({ rows, headers, done }));
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flatMap((c) => c.rows), expected.rows);
+  assert.deepEqual(table.headers, expected.headers);
+  assert.equal(table.headerRow, expected.headerRow);
+  assert.equal(table.message, expected.message);
+  assert.match(table.message, /Loaded 121 rows .* Ignored 2 footer rows/);
+});
+
+test("a footer-like row is only sent once a data row follows it", async () => {
+  const [sheet] = await openSheets(csvFile(lines));
+  const chunks = [];
+  streamSheetTable(sheet, 55, (rows) => chunks.push(rows));
+  // The first slice ends on "Confidential", which is held back; the next slice sends it before the row after it
+  assert.equal(chunks[0].at(-1).Course, "MATH 149");
+  assert.equal(chunks[1][0].Course, "Confidential");
+  assert.equal(chunks[1][1].Course, "MATH 150");
+});
+
+test("a sheet without data rows is refused", async () => {
+  const [sheet] = await openSheets(csvFile(["Course,Section,Days", "", "Total,0"]));
+  assert.throws(() => streamSheetTable(sheet, 50, () => {}), /No rows detected/);
+});
+
+test("a header row given as a sheet row number is used as is", async () => {
+  const [sheet] = await openSheets(csvFile(lines));
+  const rows = [];
+  const table = streamSheetTable(sheet, 50, (chunk) => rows.push(...chunk), "4");
+  assert.deepEqual(table.headers, ["MATH 100", "001", "Mon/Wed | 9:00 AM - 10:00 AM", "Lecture"]);
+  assert.equal(table.headerRow, 4);
+  assert.equal(rows[0]["MATH 100"], "MATH 101");
+  assert.throws(() => streamSheetTable(sheet, 50, () => {}, "500"), /Row 500 is outside the sheet/);
+});
+
+test("the worker sends one sheet's rows and only the names of the others", async () => {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Notes"], ["Read me"]]), "Cover");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Course", "Section", "Days"], ["MATH 101", "001", "MWF"]]), "Schedule");
+  const file = Object.assign(new Blob([XLSX.write(wb, { type: "array", bookType: "xlsx" })]), { name: "schedule.xlsx" });
+
+  const rows = [];
+  const result = await runTask({ type: "read", file }, (m) => m.type === "rows" && rows.push(...m.rows));
+  assert.equal(result.sheetName, "Schedule");
+  assert.deepEqual(result.sheets, ["Cover", "Schedule"]);
+  assert.equal(result.guess.courseField, "Course");
+  assert.deepEqual(rows, [{ Course: "MATH 101", Section: "001", Days: "MWF" }]);
+
+  const cover = [];
+  const other = await runTask({ type: "read", file, sheetName: "Cover", override: "1" }, (m) => m.type === "rows" && cover.push(...m.rows));
+  assert.equal(other.sheetName, "Cover");
+  assert.deepEqual(cover, [{ Notes: "Read me" }]);
+});
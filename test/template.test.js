@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compileTemplate, compileTemplates, renderEventText, renderTemplate } from "../src/core/index.js";
+
+const headers = ["Course", "Section", "Course Title", "Instructor", "Room"];
+const values = { course: "MATH 101", section: "", "course title": "introduction to linear algebra", instructor: "  ", room: "BUCH A101" };
+const render = (text) => {
+  const template = compileTemplate(text, headers);
+  assert.deepEqual(template.errors, [], text);
+  return renderTemplate(template, (name) => values[name]);
+};
+
+test("tokens read columns by header, take the first non-empty choice and apply transforms", () => {
+  assert.equal(render("{course}: {Course Title:title}"), "MATH 101: Introduction To Linear Algebra");
+  assert.equal(render('{Instructor|"Staff"}'), "Staff");
+  assert.equal(render("{Course Title:upper:truncate(12)}"), "INTRODUCTIO…");
+  assert.equal(render("{Room:extract(/[A-Z]\\d{3}/)}"), "A101");
+  assert.equal(render("{Room:extract(/^(\\w+)/)}"), "BUCH");
+});
+
+test("optional parts are dropped when a token inside them is empty", () => {
+  assert.equal(render("{Course}[ - {Section}][ ({Room})]"), "MATH 101 (BUCH A101)");
+  assert.equal(render("\\{{Course}\\}\\nNext line"), "{MATH 101}\nNext line");
+});
+
+test("mistakes are listed instead of reaching the output", () => {
+  const errors = (text) => compileTemplate(text, headers).errors;
+  assert.deepEqual(errors("{Teacher}"), ['Unknown column "Teacher" in {Teacher}']);
+  assert.deepEqual(errors("{Course:shout}"), ['Unknown transform "shout" in {Course:shout}']);
+  assert.match(errors("{Course:truncate(x)}")[0], /truncate needs a length/);
+  assert.match(errors("{Room:extract(/[/)}")[0], /extract has an invalid pattern/);
+  assert.deepEqual(errors("{Course"), ['Unclosed token "{Course"']);
+  assert.deepEqual(errors("[{Course}"), ['Unclosed "[" in "[{Course}"']);
+  assert.deepEqual(errors("Course}"), ['Unexpected "}" at position 7']);
+  assert.throws(() => compileTemplates({ titleTemplate: "{Teacher}", locationTemplate: "{Room:shout}" }, headers), /Title template: Unknown column "Teacher"[\s\S]*Location template: Unknown transform "shout"/);
+});
+
+test("built-in names follow the column mapping, and a mapped title column wins", () => {
+  const templates = compileTemplates({ titleTemplate: "{course} {component}", locationTemplate: "{location}", descriptionTemplate: "{Instructor}\n[Section {section}]" }, ["Code", "Type", "Instructor"]);
+  const row = { Code: "CHEM 110", Type: "Lab", Instructor: "Dr. Ada", Name: "Chemistry" };
+  const mapped = { courseField: "Code", componentField: "Type" };
+  assert.deepEqual(renderEventText(templates, row, mapped, "LAB-2"), { summary: "CHEM 110 Lab", location: "LAB-2", description: "Dr. Ada" });
+  assert.equal(renderEventText(templates, row, { ...mapped, titleField: "Name" }, "").summary, "Chemistry");
+});